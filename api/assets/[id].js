@@ -0,0 +1,7 @@
+import { getAssetHandler } from '../../lib/assetStore.js';
+
+// /api/assets/:id arrives here with the id in req.query (see the route in vercel.json)
+export default async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+  return getAssetHandler(req, res);
+}
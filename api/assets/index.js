@@ -0,0 +1,6 @@
+import { createAssetHandler } from '../../lib/assetStore.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+  return createAssetHandler(req, res);
+}
@@ -0,0 +1,9 @@
+import { collisionShapeHandler } from '../../lib/collisionShape.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  return collisionShapeHandler(req, res);
+}
@@ -0,0 +1,18 @@
+import { fetchImageHandler } from '../../lib/fetchImage.js';
+import { applyCors } from '../../lib/cors.js';
+
+export default async function handler(req, res) {
+  // Keep the proxy for our own pages rather than as an open relay
+  if (!applyCors(req, res, 'GET,OPTIONS')) return;
+
+  if (req.method === 'OPTIONS') {
+    res.status(204).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  return fetchImageHandler(req, res);
+}
@@ -0,0 +1,23 @@
+import { generateImageStreamHandler } from '../../lib/generateImage.js';
+import { applyCors } from '../../lib/cors.js';
+import dotenv from 'dotenv';
+
+// Load environment variables for Vercel dev
+dotenv.config();
+dotenv.config({ path: '.env.local', override: true });
+
+export default async function handler(req, res) {
+  // Only our own origin (plus ALLOWED_ORIGINS) may spend the generation quota
+  if (!applyCors(req, res)) return;
+
+  if (req.method === 'OPTIONS') {
+    res.status(204).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  return generateImageStreamHandler(req, res);
+}
@@ -0,0 +1,8 @@
+import { getSceneHandler, updateSceneHandler } from '../../lib/sceneStore.js';
+
+// /api/scenes/:id arrives here with the id in req.query (see the route in vercel.json)
+export default async function handler(req, res) {
+  if (req.method === 'GET') return getSceneHandler(req, res);
+  if (req.method === 'PUT') return updateSceneHandler(req, res);
+  return res.status(405).json({ error: 'Method not allowed' });
+}
@@ -0,0 +1,7 @@
+import { createSceneHandler, sceneStoreStatusHandler } from '../../lib/sceneStore.js';
+
+export default async function handler(req, res) {
+  if (req.method === 'GET') return sceneStoreStatusHandler(req, res);
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+  return createSceneHandler(req, res);
+}
@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { parseDataUrl, decodeImage } from './imageProcessing.js';
+
+// Content-addressed PNG store for images that saved scenes reference (generated, URL-loaded,
+// uploaded). Files live under ASSET_STORE_DIR (default data/assets) named by a hash of their
+// bytes, so uploading the same image twice returns the same id and assets never change.
+// Like the scene store it needs a durable disk, so on Vercel it is off (501) unless
+// ASSET_STORE_DIR is set.
+
+const MAX_ASSET_BYTES = 4 * 1024 * 1024;
+const MAX_ASSET_DIMENSION = 2048;
+const ID_PATTERN = /^[a-f0-9]{24}$/;
+
+function storeDir() {
+  return process.env.ASSET_STORE_DIR || path.join(process.cwd(), 'data', 'assets');
+}
+
+export function isAssetStoreAvailable() {
+  return !process.env.VERCEL || !!process.env.ASSET_STORE_DIR;
+}
+
+function storeUnavailable(res) {
+  return res.status(501).json({ error: 'Stored images are not available on this deployment' });
+}
+
+export function isValidAssetId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+export function assetUrl(id) {
+  return `/api/assets/${id}`;
+}
+
+// Validate and store a PNG buffer; resolves to { id, url, width, height, bytes }
+export async function saveAsset(buffer) {
+  if (buffer.length > MAX_ASSET_BYTES) {
+    throw Object.assign(new Error(`Asset exceeds ${MAX_ASSET_BYTES / (1024 * 1024)}MB`), { status: 413 });
+  }
+  const image = decodeImage(buffer, 'image/png');
+  if (!image) {
+    throw Object.assign(new Error('Asset must be a valid PNG'), { status: 400 });
+  }
+  if (image.width > MAX_ASSET_DIMENSION || image.height > MAX_ASSET_DIMENSION) {
+    throw Object.assign(new Error(`Asset may be at most ${MAX_ASSET_DIMENSION}px on a side`), { status: 400 });
+  }
+
+  const id = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 24);
+  const dir = storeDir();
+  const file = path.join(dir, `${id}.png`);
+  try {
+    await fs.access(file);
+  } catch (_) {
+    await fs.mkdir(dir, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, buffer);
+    await fs.rename(tmp, file);
+  }
+  return { id, url: assetUrl(id), width: image.width, height: image.height, bytes: buffer.length };
+}
+
+export async function readAsset(id) {
+  try {
+    return await fs.readFile(path.join(storeDir(), `${id}.png`));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// POST /api/assets  body: { imageUrl: 'data:image/png;base64,...' }  ->  201 { id, url, width, height, bytes }
+export async function createAssetHandler(req, res) {
+  if (!isAssetStoreAvailable()) return storeUnavailable(res);
+  try {
+    const parsed = parseDataUrl(req.body?.imageUrl);
+    if (!parsed || parsed.mimeType !== 'image/png') {
+      return res.status(400).json({ error: 'imageUrl must be a PNG data URL' });
+    }
+    const asset = await saveAsset(parsed.buffer);
+    return res.status(201).json(asset);
+  } catch (err) {
+    const status = err?.status || 500;
+    if (status === 500) console.error('Asset save error', err);
+    return res.status(status).json({ error: status === 500 ? 'Could not save asset' : err.message, message: err?.message });
+  }
+}
+
+// GET /api/assets/:id  ->  image/png (immutable, since ids are content hashes)
+export async function getAssetHandler(req, res) {
+  if (!isAssetStoreAvailable()) return storeUnavailable(res);
+  try {
+    const id = req.params?.id ?? req.query?.id;
+    if (!isValidAssetId(id)) return res.status(400).json({ error: 'Invalid asset id' });
+    const buffer = await readAsset(id);
+    if (!buffer) return res.status(404).json({ error: 'Asset not found' });
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+    return res.send(buffer);
+  } catch (err) {
+    console.error('Asset load error', err);
+    return res.status(500).json({ error: 'Could not load asset', message: err?.message });
+  }
+}
@@ -0,0 +1,148 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { decodeImage, keyWhiteToAlpha, parseDataUrl, resizeImage } from './imageProcessing.js';
+
+const ASSET_DIR = path.join(process.cwd(), 'public', 'images');
+const MAX_DIMENSION = 2048;
+
+// Built-in assets never change at runtime, so their shapes are memoised per parameter set.
+// The parameters come from the request, so the memo is a small LRU (Map keeps insertion
+// order: hits move to the end, the front is evicted).
+const MAX_CACHED_SHAPES = 64;
+const assetShapeCache = new Map();
+
+function cachedAssetShape(key) {
+  const shape = assetShapeCache.get(key);
+  if (shape) {
+    assetShapeCache.delete(key);
+    assetShapeCache.set(key, shape);
+  }
+  return shape;
+}
+
+function cacheAssetShape(key, shape) {
+  assetShapeCache.set(key, shape);
+  if (assetShapeCache.size > MAX_CACHED_SHAPES) {
+    assetShapeCache.delete(assetShapeCache.keys().next().value);
+  }
+}
+
+// Build the same grid description the client's createAccurateImageBody produces:
+// a cell is solid when more than solidRatio of its pixels have alpha > alphaThreshold.
+// Cell positions are cell centres relative to the image centre; renderOffset is the
+// geometric centre of those cells, which the client subtracts before building parts.
+export function buildCollisionShape(image, options = {}) {
+  const { alphaThreshold = 128, gridSize = 4, solidRatio = 0.7 } = options;
+  const { width: W, height: H, data } = image;
+  const cells = [];
+  let sumX = 0, sumY = 0, area = 0, areaX = 0, areaY = 0;
+
+  for (let gy = 0; gy < H; gy += gridSize) {
+    for (let gx = 0; gx < W; gx += gridSize) {
+      const maxY = Math.min(gy + gridSize, H);
+      const maxX = Math.min(gx + gridSize, W);
+      let solidCount = 0;
+      for (let py = gy; py < maxY; py++) {
+        for (let px = gx; px < maxX; px++) {
+          if (data[(py * W + px) * 4 + 3] > alphaThreshold) solidCount++;
+        }
+      }
+      const totalPx = (maxY - gy) * (maxX - gx);
+      if (solidCount === 0 || solidCount / totalPx <= solidRatio) continue;
+
+      const cell = { x: gx - W / 2 + gridSize / 2, y: gy - H / 2 + gridSize / 2, w: gridSize, h: gridSize };
+      cells.push(cell);
+      sumX += cell.x;
+      sumY += cell.y;
+      area += cell.w * cell.h;
+      areaX += cell.x * cell.w * cell.h;
+      areaY += cell.y * cell.w * cell.h;
+    }
+  }
+
+  return {
+    mode: 'grid',
+    width: W,
+    height: H,
+    gridSize,
+    cells,
+    renderOffset: cells.length ? { x: sumX / cells.length, y: sumY / cells.length } : { x: 0, y: 0 },
+    centroid: area ? { x: areaX / area, y: areaY / area } : { x: 0, y: 0 }
+  };
+}
+
+// Assets ship on white or transparent backgrounds; key them exactly like the client does on
+// load (same algorithm, same tolerance) so the body follows the pixels on screen
+async function loadAsset(name, tolerance) {
+  const buffer = await fs.readFile(path.join(ASSET_DIR, `${name}.png`));
+  const image = decodeImage(buffer, 'image/png');
+  return image && keyWhiteToAlpha(image, { tolerance });
+}
+
+// POST /api/collision-shape
+// body: { imageUrl (PNG data URL) | asset (built-in image name), scale=1, alphaThreshold=128, gridSize=4,
+//         tolerance=10 }
+// tolerance is the client's white-keying tolerance, applied to built-in assets before measuring;
+// imageUrl images are sent already keyed.
+export async function collisionShapeHandler(req, res) {
+  try {
+    const { imageUrl, asset } = req.body || {};
+    const scale = Number(req.body?.scale ?? 1);
+    const alphaThreshold = Number(req.body?.alphaThreshold ?? 128);
+    const gridSize = Math.round(Number(req.body?.gridSize ?? 4));
+    const tolerance = Number(req.body?.tolerance ?? 10);
+
+    if (!(scale > 0 && scale <= 4)) {
+      return res.status(400).json({ error: 'scale must be between 0 and 4' });
+    }
+    if (!(gridSize >= 2 && gridSize <= 32)) {
+      return res.status(400).json({ error: 'gridSize must be between 2 and 32' });
+    }
+    if (!(alphaThreshold >= 0 && alphaThreshold < 255)) {
+      return res.status(400).json({ error: 'alphaThreshold must be between 0 and 254' });
+    }
+    if (!(tolerance >= 0 && tolerance <= 255)) {
+      return res.status(400).json({ error: 'tolerance must be between 0 and 255' });
+    }
+
+    let image;
+    let cacheKey = null;
+    if (typeof asset === 'string') {
+      if (!/^[a-z0-9_]+$/.test(asset)) {
+        return res.status(400).json({ error: 'Invalid asset name' });
+      }
+      cacheKey = `${asset}|${scale}|${alphaThreshold}|${gridSize}|${tolerance}`;
+      const cached = cachedAssetShape(cacheKey);
+      if (cached) return res.json(cached);
+      try {
+        image = await loadAsset(asset, tolerance);
+      } catch (err) {
+        return res.status(404).json({ error: `Unknown asset: ${asset}` });
+      }
+    } else {
+      const parsed = parseDataUrl(imageUrl);
+      if (!parsed) {
+        return res.status(400).json({ error: 'Missing imageUrl (data URL) or asset' });
+      }
+      image = decodeImage(parsed.buffer, parsed.mimeType);
+    }
+
+    if (!image) {
+      return res.status(415).json({ error: 'Only PNG images are supported' });
+    }
+
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+      return res.status(413).json({ error: `Scaled image exceeds ${MAX_DIMENSION}px` });
+    }
+
+    const shape = buildCollisionShape(resizeImage(image, width, height), { alphaThreshold, gridSize });
+    if (cacheKey) cacheAssetShape(cacheKey, shape);
+    return res.json(shape);
+
+  } catch (err) {
+    console.error('Collision shape error', err);
+    return res.status(500).json({ error: 'Collision shape failed', message: err?.message });
+  }
+}
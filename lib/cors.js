@@ -0,0 +1,28 @@
+// CORS for the Vercel functions. Only origins listed in ALLOWED_ORIGINS (comma-separated)
+// or the deployment's own host may call the API from a browser.
+// Returns false (after replying 403) when the request's origin is not allowed.
+export function applyCors(req, res, methods = 'POST,OPTIONS') {
+  const origin = req.headers.origin;
+  if (!origin) return true; // same-origin navigation, curl, server-to-server
+
+  const allowed = (process.env.ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(o => o.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+
+  let sameHost = false;
+  try {
+    sameHost = new URL(origin).host === req.headers.host;
+  } catch (_) {}
+
+  res.setHeader('Vary', 'Origin');
+  if (!sameHost && !allowed.includes(origin)) {
+    res.status(403).json({ error: 'Origin not allowed' });
+    return false;
+  }
+
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, X-Requested-With');
+  return true;
+}
@@ -0,0 +1,194 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+// Same-origin proxy for images the user pastes as URLs. Most hosts send no CORS headers, which
+// leaves the browser with a tainted canvas it can't key or trace; fetching here avoids that.
+// Guarded against SSRF: http(s) on default ports only, every resolved address (including after
+// redirects) must be public, and the connection is made to the address that was checked.
+//
+// FETCH_IMAGE_TIMEOUT_MS   whole request including redirects (default 8000)
+// FETCH_IMAGE_MAX_BYTES    largest image accepted (default 8MB)
+
+const MAX_REDIRECTS = 3;
+const ALLOWED_PORTS = new Set(['', '80', '443']);
+
+// Formats the browser can decode onto a canvas; SVG is left out since it can carry script
+const SIGNATURES = [
+  { mimeType: 'image/png', test: (b) => b.length >= 8 && b.readUInt32BE(0) === 0x89504e47 && b.readUInt32BE(4) === 0x0d0a1a0a },
+  { mimeType: 'image/jpeg', test: (b) => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mimeType: 'image/gif', test: (b) => b.length >= 6 && /^GIF8[79]a$/.test(b.toString('latin1', 0, 6)) },
+  { mimeType: 'image/webp', test: (b) => b.length >= 12 && b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+  { mimeType: 'image/bmp', test: (b) => b.length >= 2 && b[0] === 0x42 && b[1] === 0x4d }
+];
+const ALLOWED_TYPES = new Set(SIGNATURES.map(s => s.mimeType));
+
+const blockList = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  blockList.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['100::', 64],
+  ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  blockList.addSubnet(address, prefix, 'ipv6');
+}
+
+export function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function readLimits(env = process.env) {
+  const num = (value, fallback) => {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+  };
+  return {
+    timeoutMs: num(env.FETCH_IMAGE_TIMEOUT_MS, 8000),
+    maxBytes: num(env.FETCH_IMAGE_MAX_BYTES, 8 * 1024 * 1024)
+  };
+}
+
+function fail(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Parse and vet a user-supplied URL; throws with status 400/403
+export function validateImageUrl(raw) {
+  let url;
+  try {
+    url = new URL(String(raw || ''));
+  } catch (_) {
+    throw fail('url must be an absolute http(s) URL', 400);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw fail('Only http and https URLs are allowed', 400);
+  if (url.username || url.password) throw fail('URLs with credentials are not allowed', 400);
+  if (!ALLOWED_PORTS.has(url.port)) throw fail('Only the default http/https ports are allowed', 403);
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) throw fail('That address is not allowed', 403);
+  if (/^localhost$|\.localhost$|\.local$|\.internal$/i.test(host)) throw fail('That host is not allowed', 403);
+  return url;
+}
+
+// dns.lookup wrapper that refuses hostnames resolving to any non-public address. Passing it to
+// http.request means the socket connects to exactly the address checked here.
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(a => isBlockedAddress(a.address));
+    if (blocked || !addresses.length) {
+      return callback(fail(`${hostname} resolves to an address that is not allowed`, 403));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function requestOnce(url, { signal, maxBytes }) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.get(url, {
+      lookup: safeLookup,
+      signal,
+      headers: { 'User-Agent': 'musical-marble-drop image proxy', Accept: 'image/*' }
+    }, (res) => {
+      const { statusCode, headers } = res;
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        res.resume();
+        // A malformed Location must not throw inside this callback (it would crash the server)
+        try {
+          return resolve({ redirect: new URL(headers.location, url) });
+        } catch (_) {
+          return reject(fail('Upstream sent an invalid redirect', 502));
+        }
+      }
+      if (statusCode !== 200) {
+        res.resume();
+        return reject(fail(`Upstream responded ${statusCode}`, 502));
+      }
+
+      const declaredType = String(headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      if (declaredType && declaredType !== 'application/octet-stream' && !ALLOWED_TYPES.has(declaredType)) {
+        res.resume();
+        return reject(fail(`Unsupported content type ${declaredType}`, 415));
+      }
+      if (Number(headers['content-length']) > maxBytes) {
+        res.resume();
+        return reject(fail(`Image exceeds ${maxBytes} bytes`, 413));
+      }
+
+      const chunks = [];
+      let received = 0;
+      res.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > maxBytes) {
+          res.destroy();
+          return reject(fail(`Image exceeds ${maxBytes} bytes`, 413));
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => resolve({ buffer: Buffer.concat(chunks) }));
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+  });
+}
+
+// Fetch an image with redirects re-validated hop by hop; resolves to { buffer, mimeType, url }
+export async function fetchRemoteImage(rawUrl) {
+  const { timeoutMs, maxBytes } = readLimits();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    let url = validateImageUrl(rawUrl);
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      const result = await requestOnce(url, { signal: controller.signal, maxBytes });
+      if (result.redirect) {
+        try {
+          url = validateImageUrl(result.redirect.href);
+        } catch (err) {
+          // Blocked targets keep their 403; anything unparseable is the upstream's fault
+          if (err.status === 400) throw fail('Upstream sent an invalid redirect', 502);
+          throw err;
+        }
+        continue;
+      }
+      // Trust the bytes, not the header: hosts often mislabel images
+      const signature = SIGNATURES.find(s => s.test(result.buffer));
+      if (!signature) throw fail('Response is not a supported image', 415);
+      return { buffer: result.buffer, mimeType: signature.mimeType, url: url.href };
+    }
+    throw fail('Too many redirects', 502);
+  } catch (err) {
+    if (controller.signal.aborted) throw fail(`Fetching the image took longer than ${timeoutMs}ms`, 504);
+    if (!err.status) throw fail(`Could not fetch image: ${err.message}`, 502);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// GET /api/fetch-image?url=<http(s) URL>  ->  the image bytes, served same-origin
+export async function fetchImageHandler(req, res) {
+  try {
+    const { buffer, mimeType } = await fetchRemoteImage(req.query?.url);
+    res.setHeader('Content-Type', mimeType);
+    res.setHeader('Content-Length', String(buffer.length));
+    res.setHeader('Cache-Control', 'public, max-age=86400');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    return res.status(200).send(buffer);
+  } catch (err) {
+    const status = err?.status || 500;
+    if (status >= 500) console.warn('Image proxy error', err.message);
+    return res.status(status).json({ error: 'Could not fetch image', message: err?.message });
+  }
+}
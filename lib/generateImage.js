@@ -0,0 +1,236 @@
+import { getImageProvider } from './providers/index.js';
+import { cutOut, decodeImage, encodePng, fitToSize, getContentBounds, parseSizeRequest, removeBackground } from './imageProcessing.js';
+import { generationCacheKey, isCacheEnabled, readCachedGeneration, writeCachedGeneration } from './generationCache.js';
+import { clientIp, sendRateLimited, takeGenerationQuota } from './rateLimit.js';
+import { MATERIAL_INSTRUCTION, extractModelMaterial, resolveMaterial } from './material.js';
+
+// Shared /api/generate-image handlers for the Express server and the Vercel functions.
+// Responds with { imageUrl, modelUsed, textResponse } whatever provider is selected.
+// With { matte: true } in the body the image is cut out on the server and the response
+// also carries { matted, bounds } so the client can skip its own white keying.
+// Repeat prompts are served from the disk cache with { cached: true }; { force: true }
+// skips the lookup and regenerates (the fresh result replaces the cached one).
+// Only calls that reach the provider count against the rate limits and daily quotas.
+// size ("WxH" or "W:H") is honoured by cropping/downscaling, and every PNG response
+// reports { width, height, bounds, bytes } so the client can size objects consistently.
+// With { material: true } the response also carries a physics material descriptor (see
+// material.js) inferred by the model when it returns text, else from keywords in
+// { subject } (the bare object description; defaults to the prompt).
+// A provider without its API key answers 503 with { code: 'unavailable' }.
+// { count: N } asks for N variations (up to GENERATION_MAX_VARIATIONS, default 4, each charged
+// against the quotas unless cached); the response is the first one plus { candidates: [...] },
+// each candidate carrying its own imageUrl, matted, width, height, bounds, bytes, textResponse
+// and material.
+export async function generateImageHandler(req, res) {
+  try {
+    return res.json(await runGeneration(req.body, { ip: clientIp(req) }));
+  } catch (err) {
+    if (err.limited) return sendRateLimited(res, err.limited);
+    if (!err.error) console.error('Image generation error', err);
+    const status = err?.status || err?.response?.status || 500;
+    const message = err?.message || 'Image generation failed';
+    const details = err?.response?.data || undefined;
+    return res.status(status).json({ error: err.error || 'Image generation failed', code: err.code, message, details });
+  }
+}
+
+// Streaming variant (POST /api/generate-image/stream): same body, but the response is a
+// Server-Sent Events stream of phase events, each carrying a JSON payload:
+//   queued           request accepted
+//   generating       { provider, model, cached, count } the provider calls started (or the cache hit)
+//   text             { text } partial text from the model, as it arrives
+//   post-processing  resizing / cutting out
+//   done             the same JSON the non-streaming endpoint returns
+//   error            { status, error, code, message } plus { scope, retryAfter } when rate limited
+// Closing the connection cancels the provider call.
+export async function generateImageStreamHandler(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders?.();
+
+  const controller = new AbortController();
+  const send = (event, data = {}) => {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  // Comments keep proxies from closing a quiet stream while the model works
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(': keep-alive\n\n');
+  }, 15000);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) {
+      console.log('Generation stream closed by client, cancelling');
+      controller.abort();
+    }
+  });
+
+  try {
+    send('queued');
+    const result = await runGeneration(req.body, {
+      ip: clientIp(req),
+      signal: controller.signal,
+      onPhase: send,
+      onText: (text) => send('text', { text })
+    });
+    send('done', result);
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    if (err.limited) {
+      const { scope, limit, retryAfter, message } = err.limited;
+      send('error', { status: 429, error: 'Rate limit exceeded', message, scope, limit, retryAfter });
+    } else {
+      if (!err.error) console.error('Image generation error', err);
+      send('error', {
+        status: err?.status || err?.response?.status || 500,
+        error: err.error || 'Image generation failed',
+        code: err.code,
+        message: err?.message || 'Image generation failed'
+      });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+}
+
+// The pipeline behind both handlers: validate, serve from cache or spend quota and call the
+// provider, then post-process. onPhase(name, data) reports progress, onText forwards partial
+// model text and signal cancels the provider call. Errors carry .status; rate limiting throws
+// with .limited set to the takeGenerationQuota result.
+export async function runGeneration(body, { ip, signal, onPhase = () => {}, onText } = {}) {
+  const provider = getImageProvider();
+  if (provider.missingConfig) {
+    // Not the caller's fault: code 'unavailable' tells clients to stop expecting images
+    const error = `${provider.missingConfig} not configured on server`;
+    throw Object.assign(new Error(error), { status: 503, error, code: 'unavailable' });
+  }
+
+  const { prompt, size, matte, matteTolerance, force, material, subject, count } = body || {};
+  if (!prompt || typeof prompt !== 'string') {
+    throw Object.assign(new Error('Missing prompt'), { status: 400, error: 'Missing prompt' });
+  }
+  const target = parseSizeRequest(size);
+  const variations = parseVariationCount(count);
+
+  // Only providers that answer with text can be asked for a material; image-only APIs
+  // would draw the instruction instead
+  const providerPrompt = material && provider.returnsText ? `${prompt}\n\n${MATERIAL_INSTRUCTION}` : prompt;
+
+  // Keyed on the prompt the provider actually sees, so an entry cached without the material
+  // instruction has no material text to extract. Variation 0 shares the cache entry of a
+  // plain request; the others get their own.
+  const useCache = isCacheEnabled();
+  const cacheKeys = Array.from({ length: variations }, (_, variant) =>
+    generationCacheKey({ prompt: providerPrompt, provider: provider.name, model: provider.model, size: target?.label || null, variant }));
+  const generated = useCache && !force
+    ? await Promise.all(cacheKeys.map(key => readCachedGeneration(key)))
+    : cacheKeys.map(() => null);
+  const missing = generated.flatMap((entry, variant) => (entry ? [] : [variant]));
+  const cached = missing.length === 0;
+
+  if (cached) {
+    console.log(`Serving cached image for prompt (${cacheKeys[0].slice(0, 12)})`);
+    onPhase('generating', { provider: provider.name, model: provider.model, cached, count: variations });
+  } else {
+    // Only the variations that actually reach the provider are charged
+    const limited = takeGenerationQuota(ip, missing.length);
+    if (limited) {
+      console.warn(`Generation rate limited (${limited.scope}) for ${ip}`);
+      throw Object.assign(new Error(limited.message), { status: 429, limited });
+    }
+    console.log(`Attempting image generation with ${provider.name} model: ${provider.model}`);
+    console.log(`Prompt: ${prompt}`);
+    onPhase('generating', { provider: provider.name, model: provider.model, cached, count: variations });
+    await Promise.all(missing.map(async (variant, i) => {
+      // Interleaved text from parallel calls would be unreadable; stream the first one only
+      const result = await provider.generate({ prompt: providerPrompt, size: target, signal, onText: i === 0 ? onText : undefined, variant });
+      if (useCache) await writeCachedGeneration(cacheKeys[variant], result);
+      generated[variant] = result;
+    }));
+  }
+
+  onPhase('post-processing');
+  const description = typeof subject === 'string' && subject.trim() ? subject : prompt;
+  const candidates = generated.map((entry) => {
+    const candidate = { ...postProcess(entry, { target, matte, matteTolerance }), textResponse: entry.textResponse };
+    if (material) {
+      const extracted = extractModelMaterial(entry.textResponse);
+      candidate.textResponse = extracted.text;
+      candidate.material = resolveMaterial({ description, modelMaterial: extracted.material });
+    }
+    return candidate;
+  });
+
+  // The first candidate doubles as the plain single-image response
+  const result = { ...candidates[0], modelUsed: provider.model, cached };
+  if (variations > 1) result.candidates = candidates;
+  return result;
+}
+
+// How many variations a request asks for: 1 by default, at most GENERATION_MAX_VARIATIONS (4)
+function parseVariationCount(count) {
+  if (count === undefined || count === null) return 1;
+  const max = Math.max(1, Number(process.env.GENERATION_MAX_VARIATIONS) || 4);
+  const n = Number(count);
+  if (!Number.isInteger(n) || n < 1 || n > max) {
+    const error = `count must be a whole number from 1 to ${max}`;
+    throw Object.assign(new Error(error), { status: 400, error });
+  }
+  return n;
+}
+
+// Resize/crop to the requested size, optionally cut out the background, and describe
+// the result. Formats we can't decode pass through untouched with only their byte size.
+function postProcess({ imageBase64, mimeType }, { target, matte, matteTolerance }) {
+  const original = Buffer.from(imageBase64, 'base64');
+  const decoded = decodeImage(original, mimeType);
+  if (!decoded) {
+    if (target || matte) console.warn(`Post-processing skipped for unsupported ${mimeType}`);
+    return {
+      imageUrl: `data:${mimeType};base64,${imageBase64}`,
+      matted: false,
+      width: null,
+      height: null,
+      bounds: null,
+      bytes: original.length
+    };
+  }
+
+  const fitted = fitToSize(decoded, target);
+  const tolerance = Number(matteTolerance) || undefined;
+  let image = fitted;
+  let bounds = null;
+  let matted = false;
+
+  if (matte) {
+    const cut = cutOut(fitted, { tolerance });
+    if (cut) {
+      image = cut.image;
+      bounds = cut.bounds;
+      matted = true;
+    } else {
+      console.warn('Background removal skipped (no foreground found)');
+    }
+  }
+  // Unmatted images still report where the object sits against its background
+  if (!bounds) {
+    bounds = getContentBounds(removeBackground(fitted, { tolerance }), 16) ||
+      { x: 0, y: 0, width: fitted.width, height: fitted.height };
+  }
+
+  // Re-encode only when something changed, so untouched images keep their original bytes
+  const buffer = image === decoded ? original : encodePng(image);
+  return {
+    imageUrl: `data:image/png;base64,${buffer.toString('base64')}`,
+    matted,
+    width: image.width,
+    height: image.height,
+    bounds,
+    bytes: buffer.length
+  };
+}
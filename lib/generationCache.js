@@ -0,0 +1,60 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Raw provider results cached on disk, keyed by the normalized prompt sent to the provider
+// (so including any material instruction) + provider + model
+// (+ the requested size, which providers that draw to size render differently).
+// Post-processing (matting etc.) runs after the cache, so one entry serves every option set.
+// IMAGE_CACHE=off disables it; IMAGE_CACHE_DIR moves it (Vercel only allows writes to /tmp).
+function cacheDir() {
+  if (process.env.IMAGE_CACHE_DIR) return process.env.IMAGE_CACHE_DIR;
+  const root = process.env.VERCEL ? os.tmpdir() : path.join(process.cwd(), '.cache');
+  return path.join(root, 'generated-images');
+}
+
+export function isCacheEnabled() {
+  return (process.env.IMAGE_CACHE || 'on').toLowerCase() !== 'off';
+}
+
+// Case, surrounding and repeated whitespace don't change what gets drawn
+export function normalizePrompt(prompt) {
+  return prompt.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// variant numbers the alternatives drawn for one prompt; 0 keeps the plain key
+export function generationCacheKey({ prompt, provider, model, size = null, variant = 0 }) {
+  const parts = [normalizePrompt(prompt), provider, model, size];
+  if (variant) parts.push(variant);
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(parts))
+    .digest('hex');
+}
+
+export async function readCachedGeneration(key) {
+  try {
+    const raw = await fs.readFile(path.join(cacheDir(), `${key}.json`), 'utf8');
+    const entry = JSON.parse(raw);
+    return entry && entry.imageBase64 ? entry : null;
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn('Ignoring unreadable cache entry', key, err.message);
+    return null;
+  }
+}
+
+export async function writeCachedGeneration(key, entry) {
+  const dir = cacheDir();
+  const file = path.join(dir, `${key}.json`);
+  const tmp = `${file}.${process.pid}.tmp`;
+  try {
+    await fs.mkdir(dir, { recursive: true });
+    // Write then rename so concurrent readers never see a half-written file
+    await fs.writeFile(tmp, JSON.stringify({ ...entry, createdAt: new Date().toISOString() }));
+    await fs.rename(tmp, file);
+  } catch (err) {
+    console.warn('Could not write generation cache entry', err.message);
+    await fs.rm(tmp, { force: true }).catch(() => {});
+  }
+}
@@ -0,0 +1,316 @@
+import { PNG } from 'pngjs';
+
+// Images are handled as { width, height, data } with data as RGBA bytes (same layout as ImageData)
+
+export function parseDataUrl(dataUrl) {
+  const match = typeof dataUrl === 'string' && dataUrl.match(/^data:([\w/+.-]+);base64,(.+)$/);
+  if (!match) return null;
+  return { mimeType: match[1], buffer: Buffer.from(match[2], 'base64') };
+}
+
+// Decode a PNG buffer; other formats return null so callers can pass them through untouched
+export function decodeImage(buffer, mimeType = 'image/png') {
+  if (mimeType !== 'image/png') return null;
+  try {
+    const png = PNG.sync.read(buffer);
+    return { width: png.width, height: png.height, data: png.data };
+  } catch (err) {
+    console.warn('Could not decode PNG', err.message);
+    return null;
+  }
+}
+
+export function encodePng(image) {
+  const png = new PNG({ width: image.width, height: image.height });
+  png.data.set(image.data);
+  return PNG.sync.write(png);
+}
+
+export function toPngDataUrl(image) {
+  return `data:image/png;base64,${encodePng(image).toString('base64')}`;
+}
+
+// Background colour estimated as the per-channel median of all border pixels,
+// which survives an object touching one corner far better than a corner average.
+function estimateBackground(image) {
+  const { width: w, height: h, data } = image;
+  const rs = [], gs = [], bs = [];
+  const sample = (x, y) => {
+    const i = (y * w + x) * 4;
+    rs.push(data[i]); gs.push(data[i + 1]); bs.push(data[i + 2]);
+  };
+  for (let x = 0; x < w; x++) { sample(x, 0); sample(x, h - 1); }
+  for (let y = 1; y < h - 1; y++) { sample(0, y); sample(w - 1, y); }
+  const median = (arr) => arr.sort((a, b) => a - b)[arr.length >> 1];
+  return [median(rs), median(gs), median(bs)];
+}
+
+// Cut the object out of a flat background and return a new RGBA image.
+// Only background connected to the border is removed, so white areas enclosed by the
+// object (labels, highlights, lens glare) stay opaque. Edge pixels get partial alpha
+// with the background colour unmixed, which avoids the white halo of hard keying.
+// options: { tolerance: colour distance (0-255) still counted as background }
+export function removeBackground(image, options = {}) {
+  const tolerance = Math.max(4, Math.min(255, options.tolerance ?? 32));
+  const { width: w, height: h } = image;
+  const src = image.data;
+  const out = Buffer.from(src);
+  const [bgR, bgG, bgB] = estimateBackground(image);
+
+  const distAt = (p) => {
+    const i = p * 4;
+    const dr = src[i] - bgR, dg = src[i + 1] - bgG, db = src[i + 2] - bgB;
+    return Math.sqrt(dr * dr + dg * dg + db * db);
+  };
+
+  // Flood-fill from the border over background-like pixels
+  const background = new Uint8Array(w * h);
+  const stack = [];
+  const seed = (x, y) => {
+    const p = y * w + x;
+    if (!background[p] && (src[p * 4 + 3] === 0 || distAt(p) < tolerance)) {
+      background[p] = 1;
+      stack.push(p);
+    }
+  };
+  for (let x = 0; x < w; x++) { seed(x, 0); seed(x, h - 1); }
+  for (let y = 0; y < h; y++) { seed(0, y); seed(w - 1, y); }
+  while (stack.length) {
+    const p = stack.pop();
+    const x = p % w, y = (p - x) / w;
+    if (x > 0) seed(x - 1, y);
+    if (x < w - 1) seed(x + 1, y);
+    if (y > 0) seed(x, y - 1);
+    if (y < h - 1) seed(x, y + 1);
+  }
+
+  for (let p = 0; p < w * h; p++) {
+    const i = p * 4;
+    if (background[p]) {
+      out[i + 3] = 0;
+      continue;
+    }
+    const x = p % w, y = (p - x) / w;
+    const touchesBackground =
+      (x > 0 && background[p - 1]) || (x < w - 1 && background[p + 1]) ||
+      (y > 0 && background[p - w]) || (y < h - 1 && background[p + w]);
+    if (!touchesBackground) continue;
+
+    // Soft edge: alpha from distance to the background colour, then unmix the colour
+    const alpha = Math.min(1, distAt(p) / (tolerance * 3));
+    if (alpha >= 1) continue;
+    const a = Math.max(alpha, 1 / 255);
+    out[i] = Math.max(0, Math.min(255, Math.round((src[i] - (1 - a) * bgR) / a)));
+    out[i + 1] = Math.max(0, Math.min(255, Math.round((src[i + 1] - (1 - a) * bgG) / a)));
+    out[i + 2] = Math.max(0, Math.min(255, Math.round((src[i + 2] - (1 - a) * bgB) / a)));
+    out[i + 3] = Math.round(src[i + 3] * alpha);
+  }
+
+  return { width: w, height: h, data: out };
+}
+
+// The browser's white keying (ImagePipeline.keyWhiteToAlpha in public/imagePipeline.js),
+// ported so server-built collision shapes follow the same matte the client draws. Unlike
+// removeBackground it is a hard key: near-white pixels anywhere in the image are cleared, as is
+// background-like colour connected to the border. Keep the two in step.
+// options: { tolerance: 0-255, how far from pure white still counts as white (client default 10) }
+export function keyWhiteToAlpha(image, options = {}) {
+  const tolerance = Math.max(0, Math.min(255, options.tolerance ?? 10));
+  const { width: w, height: h } = image;
+  const data = Buffer.from(image.data);
+  const thr = 255 - tolerance;
+
+  // Background colour averaged from the four corners
+  const corner = (x, y) => {
+    const i = (y * w + x) * 4;
+    return [data[i], data[i + 1], data[i + 2]];
+  };
+  const corners = [corner(0, 0), corner(w - 1, 0), corner(0, h - 1), corner(w - 1, h - 1)];
+  const bgR = Math.round(corners.reduce((sum, c) => sum + c[0], 0) / 4);
+  const bgG = Math.round(corners.reduce((sum, c) => sum + c[1], 0) / 4);
+  const bgB = Math.round(corners.reduce((sum, c) => sum + c[2], 0) / 4);
+  const bgBrightness = (bgR + bgG + bgB) / 3;
+  const colorTol = Math.max(20, Math.floor(tolerance * 1.25));
+  const distToBg = (i) => {
+    const dr = data[i] - bgR, dg = data[i + 1] - bgG, db = data[i + 2] - bgB;
+    return Math.sqrt(dr * dr + dg * dg + db * db);
+  };
+
+  // Near-white, or close to the background colour at a similar brightness
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i], g = data[i + 1], b = data[i + 2];
+    const nearWhite = r >= thr && g >= thr && b >= thr;
+    const brightness = (r + g + b) / 3;
+    if (nearWhite || (distToBg(i) < colorTol && Math.abs(brightness - bgBrightness) < 30)) {
+      data[i + 3] = 0;
+    }
+  }
+
+  // Flood-fill from the border over background-like pixels
+  const isBackgroundLike = (i) => {
+    if (data[i + 3] === 0) return true;
+    const r = data[i], g = data[i + 1], b = data[i + 2];
+    const brightness = (r + g + b) / 3;
+    const chroma = Math.max(r, g, b) - Math.min(r, g, b);
+    return (brightness > 240 && chroma < 25) || distToBg(i) < colorTol;
+  };
+  const visited = new Uint8Array(w * h);
+  const stack = [];
+  for (let x = 0; x < w; x++) stack.push(x, (h - 1) * w + x);
+  for (let y = 0; y < h; y++) stack.push(y * w, y * w + w - 1);
+  while (stack.length) {
+    const p = stack.pop();
+    if (visited[p]) continue;
+    visited[p] = 1;
+    if (!isBackgroundLike(p * 4)) continue;
+    data[p * 4 + 3] = 0;
+    const x = p % w, y = (p - x) / w;
+    if (x > 0) stack.push(p - 1);
+    if (x < w - 1) stack.push(p + 1);
+    if (y > 0) stack.push(p - w);
+    if (y < h - 1) stack.push(p + w);
+  }
+
+  return { width: w, height: h, data };
+}
+
+// Tight bounding box of pixels with alpha >= alphaThreshold, or null when empty
+export function getContentBounds(image, alphaThreshold = 1) {
+  const { width: w, height: h, data } = image;
+  let minX = w, minY = h, maxX = -1, maxY = -1;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      if (data[(y * w + x) * 4 + 3] >= alphaThreshold) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+    }
+  }
+  if (maxX < 0) return null;
+  return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+export function cropImage(image, rect) {
+  const out = Buffer.alloc(rect.width * rect.height * 4);
+  for (let y = 0; y < rect.height; y++) {
+    const srcStart = ((rect.y + y) * image.width + rect.x) * 4;
+    out.set(image.data.subarray(srcStart, srcStart + rect.width * 4), y * rect.width * 4);
+  }
+  return { width: rect.width, height: rect.height, data: out };
+}
+
+// Resample to width x height by averaging each destination pixel's source area.
+// Colour is averaged premultiplied by alpha so transparent pixels don't darken edges.
+export function resizeImage(image, width, height) {
+  width = Math.max(1, Math.round(width));
+  height = Math.max(1, Math.round(height));
+  if (width === image.width && height === image.height) return image;
+
+  const src = image.data;
+  const out = Buffer.alloc(width * height * 4);
+  const sx = image.width / width;
+  const sy = image.height / height;
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y * sy);
+    const y1 = Math.max(y0 + 1, Math.min(image.height, Math.floor((y + 1) * sy)));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * sx);
+      const x1 = Math.max(x0 + 1, Math.min(image.width, Math.floor((x + 1) * sx)));
+      let r = 0, g = 0, b = 0, a = 0, n = 0;
+      for (let yy = y0; yy < y1; yy++) {
+        for (let xx = x0; xx < x1; xx++) {
+          const i = (yy * image.width + xx) * 4;
+          const alpha = src[i + 3];
+          r += src[i] * alpha;
+          g += src[i + 1] * alpha;
+          b += src[i + 2] * alpha;
+          a += alpha;
+          n++;
+        }
+      }
+      const o = (y * width + x) * 4;
+      if (a > 0) {
+        out[o] = Math.round(r / a);
+        out[o + 1] = Math.round(g / a);
+        out[o + 2] = Math.round(b / a);
+      }
+      out[o + 3] = Math.round(a / n);
+    }
+  }
+
+  return { width, height, data: out };
+}
+
+// Parse a requested output size: "WxH" (exact pixels) or "W:H" (aspect ratio only).
+// Returns { width, height, aspectRatio, label } with width/height null for a bare ratio,
+// null when nothing was requested, and throws a 400 error for anything else.
+export function parseSizeRequest(size) {
+  if (size === undefined || size === null || size === '' || size === 'auto') return null;
+  const text = String(size).trim().toLowerCase();
+
+  const exact = text.match(/^(\d{2,4})x(\d{2,4})$/);
+  if (exact) {
+    const width = Number(exact[1]);
+    const height = Number(exact[2]);
+    if (width >= 64 && height >= 64 && width <= 2048 && height <= 2048) {
+      return { width, height, aspectRatio: width / height, label: `${width}x${height}` };
+    }
+  }
+
+  const ratio = text.match(/^(\d{1,2}):(\d{1,2})$/);
+  if (ratio && Number(ratio[1]) > 0 && Number(ratio[2]) > 0) {
+    const aspectRatio = Number(ratio[1]) / Number(ratio[2]);
+    if (aspectRatio >= 0.25 && aspectRatio <= 4) {
+      return { width: null, height: null, aspectRatio, label: `${ratio[1]}:${ratio[2]}` };
+    }
+  }
+
+  const error = 'size must be "WxH" (64-2048 px) or an aspect ratio like "16:9"';
+  throw Object.assign(new Error(error), { status: 400, error });
+}
+
+// Centre-crop to the requested aspect ratio, then downscale to fit the requested
+// pixel size (never upscaling). A null target returns the image unchanged.
+export function fitToSize(image, target) {
+  if (!target) return image;
+  let { width: w, height: h } = image;
+  let cropW = w, cropH = h;
+  if (w / h > target.aspectRatio) {
+    cropW = Math.max(1, Math.round(h * target.aspectRatio));
+  } else {
+    cropH = Math.max(1, Math.round(w / target.aspectRatio));
+  }
+  let result = image;
+  if (cropW !== w || cropH !== h) {
+    result = cropImage(image, { x: Math.floor((w - cropW) / 2), y: Math.floor((h - cropH) / 2), width: cropW, height: cropH });
+  }
+  if (target.width && target.height && (cropW > target.width || cropH > target.height)) {
+    const factor = Math.min(target.width / cropW, target.height / cropH);
+    result = resizeImage(result, cropW * factor, cropH * factor);
+  }
+  return result;
+}
+
+// Matte + crop to the content with a little transparent padding.
+// Returns { image, bounds } where bounds is the content box inside the returned image,
+// or null when nothing but background was found.
+export function cutOut(image, options = {}) {
+  const padding = options.padding ?? 2;
+  const matted = removeBackground(image, options);
+  const content = getContentBounds(matted, options.alphaThreshold ?? 16);
+  if (!content) return null;
+
+  const x0 = Math.max(0, content.x - padding);
+  const y0 = Math.max(0, content.y - padding);
+  const x1 = Math.min(image.width, content.x + content.width + padding);
+  const y1 = Math.min(image.height, content.y + content.height + padding);
+  const cropped = cropImage(matted, { x: x0, y: y0, width: x1 - x0, height: y1 - y0 });
+
+  return {
+    image: cropped,
+    bounds: { x: content.x - x0, y: content.y - y0, width: content.width, height: content.height }
+  };
+}
@@ -0,0 +1,83 @@
+// Physics material for generated objects, so a trampoline bounces and a brick doesn't.
+// The descriptor is { name, bounciness, friction, behavior, source }: bounciness and friction
+// are 0-1 (used as Matter restitution/friction), behavior is 'normal' or 'boing' (the
+// super-bounce of the built-in BOING sign) and source says where it came from:
+// 'model' (parsed from the provider's text), 'keywords' (matched in the description) or
+// 'default' (neither had an opinion).
+
+export const DEFAULT_MATERIAL = { name: 'default', bounciness: 0.4, friction: 0.01, behavior: 'normal' };
+
+// Appended to the prompt for providers that answer with text alongside the image
+export const MATERIAL_INSTRUCTION = 'After the image, reply with one line of JSON describing what the object is made of, '
+  + 'for example {"material":"rubber","bounciness":0.8,"friction":0.6,"behavior":"normal"}. '
+  + 'bounciness and friction are numbers from 0 to 1; behavior is "boing" only for trampolines, springs and other things made for bouncing, otherwise "normal".';
+
+// First match wins, so specific materials come before general ones
+const KEYWORD_MATERIALS = [
+  { name: 'boing', bounciness: 0.95, friction: 0.3, behavior: 'boing', words: ['boing', 'trampoline', 'spring', 'springs', 'pogo', 'bouncer', 'bouncy'] },
+  { name: 'rubber', bounciness: 0.8, friction: 0.6, words: ['rubber', 'ball', 'tire', 'tyre', 'balloon', 'eraser', 'jelly', 'gummy'] },
+  { name: 'ice', bounciness: 0.15, friction: 0, words: ['ice', 'icy', 'frozen', 'icicle', 'slippery', 'soap', 'butter', 'oily', 'wet'] },
+  { name: 'soft', bounciness: 0.05, friction: 0.8, words: ['pillow', 'cushion', 'sponge', 'foam', 'marshmallow', 'cake', 'bread', 'sock', 'towel', 'blanket', 'plush', 'teddy', 'cloth', 'mud'] },
+  { name: 'stone', bounciness: 0.05, friction: 0.6, words: ['brick', 'bricks', 'rock', 'stone', 'concrete', 'boulder', 'cement', 'marble', 'granite'] },
+  { name: 'metal', bounciness: 0.3, friction: 0.15, words: ['metal', 'steel', 'iron', 'anvil', 'coin', 'pan', 'wrench', 'hammer', 'chrome', 'aluminum', 'aluminium', 'tin', 'copper', 'gold'] },
+  { name: 'glass', bounciness: 0.35, friction: 0.05, words: ['glass', 'bottle', 'vase', 'mirror', 'crystal', 'porcelain', 'ceramic'] },
+  { name: 'wood', bounciness: 0.25, friction: 0.4, words: ['wood', 'wooden', 'log', 'plank', 'crate', 'branch', 'stick', 'table', 'chair', 'barrel'] },
+  { name: 'plastic', bounciness: 0.45, friction: 0.2, words: ['plastic', 'lego', 'toy', 'cup', 'bucket', 'frisbee'] }
+];
+
+const clamp01 = (value, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(1, Math.max(0, n)) : fallback;
+};
+
+// Coerce untrusted input (model text, request bodies) into a descriptor; null when unusable
+export function normalizeMaterial(raw, source) {
+  if (!raw || typeof raw !== 'object') return null;
+  const bounciness = clamp01(raw.bounciness ?? raw.restitution, null);
+  const friction = clamp01(raw.friction, null);
+  if (bounciness === null && friction === null) return null;
+  const name = typeof raw.material === 'string' ? raw.material : typeof raw.name === 'string' ? raw.name : 'custom';
+  return {
+    name: name.trim().toLowerCase().slice(0, 24) || 'custom',
+    bounciness: bounciness ?? DEFAULT_MATERIAL.bounciness,
+    friction: friction ?? DEFAULT_MATERIAL.friction,
+    behavior: String(raw.behavior || '').toLowerCase() === 'boing' ? 'boing' : 'normal',
+    source
+  };
+}
+
+// Find the JSON line the model was asked for; returns { material, text } where text is the
+// model text without that line, or { material: null, text } when there is none
+export function extractModelMaterial(text) {
+  if (typeof text !== 'string' || !text) return { material: null, text };
+  const candidates = text.match(/\{[^{}]*\}/g) || [];
+  for (const candidate of candidates.reverse()) {
+    if (!/bounciness|friction/.test(candidate)) continue;
+    try {
+      const material = normalizeMaterial(JSON.parse(candidate), 'model');
+      if (material) {
+        const rest = text.replace(candidate, '').replace(/```(?:json)?\s*```/g, '').trim();
+        return { material, text: rest || null };
+      }
+    } catch (_) {
+      // not JSON after all; keep looking
+    }
+  }
+  return { material: null, text };
+}
+
+// Keyword guess from the description; null when no word is recognised
+export function inferMaterialFromKeywords(description) {
+  const words = String(description || '').toLowerCase().split(/[^a-z]+/).filter(Boolean);
+  const singular = (w) => (w.length > 3 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w);
+  const wordSet = new Set(words.flatMap(w => [w, singular(w)]));
+  const match = KEYWORD_MATERIALS.find(entry => entry.words.some(w => wordSet.has(w)));
+  if (!match) return null;
+  const { name, bounciness, friction, behavior = 'normal' } = match;
+  return { name, bounciness, friction, behavior, source: 'keywords' };
+}
+
+// Model opinion first, then keywords, then the default every object used to get
+export function resolveMaterial({ description, modelMaterial }) {
+  return modelMaterial || inferMaterialFromKeywords(description) || { ...DEFAULT_MATERIAL, source: 'default' };
+}
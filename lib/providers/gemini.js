@@ -0,0 +1,76 @@
+import { GoogleGenAI } from '@google/genai';
+
+// Aspect ratios the Gemini image models accept in imageConfig
+const GEMINI_ASPECT_RATIOS = ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'];
+
+function nearestAspectRatio(aspectRatio) {
+  let best = '1:1';
+  let bestDiff = Infinity;
+  for (const label of GEMINI_ASPECT_RATIOS) {
+    const [w, h] = label.split(':').map(Number);
+    const diff = Math.abs(Math.log(w / h) - Math.log(aspectRatio));
+    if (diff < bestDiff) {
+      best = label;
+      bestDiff = diff;
+    }
+  }
+  return best;
+}
+
+// Google Gemini image generation (the original hard-wired backend)
+export function createGeminiProvider(env = process.env) {
+  const apiKey = env.GEMINI_API_KEY;
+  const model = env.GEMINI_IMAGE_MODEL || 'gemini-2.5-flash-image-preview';
+
+  return {
+    name: 'gemini',
+    model,
+    missingConfig: apiKey ? null : 'GEMINI_API_KEY',
+    returnsText: true,
+
+    // With onText the response is streamed so partial text reaches the caller as it arrives
+    async generate({ prompt, size, signal, onText }) {
+      const genAI = new GoogleGenAI({ apiKey });
+      const request = { model, contents: prompt, config: {} };
+      // Square is the model default; ask for the closest supported ratio otherwise
+      if (size && Math.abs(size.aspectRatio - 1) > 0.01) {
+        request.config.imageConfig = { aspectRatio: nearestAspectRatio(size.aspectRatio) };
+      }
+      if (signal) request.config.abortSignal = signal;
+
+      // Process the response to extract image data
+      let imageBase64 = null;
+      let mimeType = 'image/png';
+      let textResponse = null;
+
+      const readParts = (parts) => {
+        for (const part of parts || []) {
+          if (part.text) {
+            textResponse = (textResponse || '') + part.text;
+            if (onText) onText(part.text);
+            console.log('Generated text:', part.text);
+          } else if (part.inlineData) {
+            imageBase64 = part.inlineData.data;
+            mimeType = part.inlineData.mimeType || mimeType;
+            console.log('Generated image data received');
+          }
+        }
+      };
+
+      if (onText) {
+        for await (const chunk of await genAI.models.generateContentStream(request)) {
+          readParts(chunk.candidates?.[0]?.content?.parts);
+        }
+      } else {
+        const response = await genAI.models.generateContent(request);
+        readParts(response.candidates?.[0]?.content?.parts);
+      }
+
+      if (!imageBase64) {
+        throw Object.assign(new Error('No image returned from Gemini'), { status: 502 });
+      }
+
+      return { imageBase64, mimeType, textResponse };
+    }
+  };
+}
@@ -0,0 +1,32 @@
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAIProvider } from './openai.js';
+import { createStubProvider } from './stub.js';
+
+// Every provider exposes { name, model, missingConfig, returnsText, generate({ prompt, size, signal, onText, variant }) }
+// where generate resolves to { imageBase64, mimeType, textResponse }. returnsText marks models
+// that answer prompts in text alongside the image (so they can be asked for extra details). size is the parsed
+// request ({ width, height, aspectRatio } or null); providers get as close as their API
+// allows and the handler crops/downscales to the exact size afterwards. signal (AbortSignal)
+// cancels the upstream call; onText, when given, receives partial model text as it streams.
+// variant (0, 1, ...) numbers alternative images for the same prompt; models that sample
+// can ignore it, deterministic ones must draw something different per variant.
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  stub: createStubProvider
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// Select the provider named by IMAGE_PROVIDER (defaults to gemini)
+export function getImageProvider(env = process.env) {
+  const name = (env.IMAGE_PROVIDER || 'gemini').trim().toLowerCase();
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw Object.assign(
+      new Error(`Unknown IMAGE_PROVIDER "${name}" (expected one of: ${PROVIDER_NAMES.join(', ')})`),
+      { status: 500 }
+    );
+  }
+  return factory(env);
+}
@@ -0,0 +1,62 @@
+// Sizes each model family accepts; the server crops/downscales to the exact request afterwards
+function providerSize(model, size) {
+  if (!size) return null;
+  const ratio = size.aspectRatio;
+  if (model.startsWith('dall-e-2')) {
+    const side = Math.max(size.width || 1024, size.height || 1024);
+    return side <= 256 ? '256x256' : side <= 512 ? '512x512' : '1024x1024';
+  }
+  const long = model.startsWith('dall-e-3') ? 1792 : 1536;
+  if (ratio > 1.2) return `${long}x1024`;
+  if (ratio < 1 / 1.2) return `1024x${long}`;
+  return '1024x1024';
+}
+
+// OpenAI-compatible image generation (OpenAI itself, or any server exposing /images/generations)
+export function createOpenAIProvider(env = process.env) {
+  const apiKey = env.OPENAI_API_KEY;
+  const baseUrl = (env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const model = env.OPENAI_IMAGE_MODEL || 'gpt-image-1';
+
+  return {
+    name: 'openai',
+    model,
+    missingConfig: apiKey ? null : 'OPENAI_API_KEY',
+    returnsText: false,
+
+    async generate({ prompt, size, signal }) {
+      const body = { model, prompt, n: 1 };
+      const requestSize = providerSize(model, size);
+      if (requestSize) body.size = requestSize;
+      // gpt-image-* models always return base64 and reject response_format
+      if (!model.startsWith('gpt-image')) body.response_format = 'b64_json';
+
+      const response = await fetch(`${baseUrl}/images/generations`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${apiKey}`
+        },
+        body: JSON.stringify(body),
+        signal
+      });
+
+      const data = await response.json().catch(() => null);
+      if (!response.ok) {
+        const message = data?.error?.message || `Image API responded with ${response.status}`;
+        throw Object.assign(new Error(message), { status: response.status, response: { status: response.status, data } });
+      }
+
+      const imageBase64 = data?.data?.[0]?.b64_json;
+      if (!imageBase64) {
+        throw Object.assign(new Error('No image returned from OpenAI-compatible endpoint'), { status: 502 });
+      }
+
+      return {
+        imageBase64,
+        mimeType: 'image/png',
+        textResponse: data.data[0].revised_prompt || null
+      };
+    }
+  };
+}
@@ -0,0 +1,173 @@
+import { PNG } from 'pngjs';
+
+// 5x7 bitmap glyphs, one 5-bit row per entry (MSB = leftmost pixel)
+const GLYPHS = {
+  A: [14, 17, 17, 31, 17, 17, 17], B: [30, 17, 17, 30, 17, 17, 30], C: [14, 17, 16, 16, 16, 17, 14],
+  D: [30, 17, 17, 17, 17, 17, 30], E: [31, 16, 16, 30, 16, 16, 31], F: [31, 16, 16, 30, 16, 16, 16],
+  G: [14, 17, 16, 23, 17, 17, 15], H: [17, 17, 17, 31, 17, 17, 17], I: [14, 4, 4, 4, 4, 4, 14],
+  J: [7, 2, 2, 2, 2, 18, 12], K: [17, 18, 20, 24, 20, 18, 17], L: [16, 16, 16, 16, 16, 16, 31],
+  M: [17, 27, 21, 21, 17, 17, 17], N: [17, 17, 25, 21, 19, 17, 17], O: [14, 17, 17, 17, 17, 17, 14],
+  P: [30, 17, 17, 30, 16, 16, 16], Q: [14, 17, 17, 17, 21, 18, 13], R: [30, 17, 17, 30, 20, 18, 17],
+  S: [15, 16, 16, 14, 1, 1, 30], T: [31, 4, 4, 4, 4, 4, 4], U: [17, 17, 17, 17, 17, 17, 14],
+  V: [17, 17, 17, 17, 17, 10, 4], W: [17, 17, 17, 21, 21, 21, 10], X: [17, 17, 10, 4, 10, 17, 17],
+  Y: [17, 17, 10, 4, 4, 4, 4], Z: [31, 1, 2, 4, 8, 16, 31],
+  0: [14, 17, 19, 21, 25, 17, 14], 1: [4, 12, 4, 4, 4, 4, 14], 2: [14, 17, 1, 2, 4, 8, 31],
+  3: [31, 2, 4, 2, 1, 17, 14], 4: [2, 6, 10, 18, 31, 2, 2], 5: [31, 16, 30, 1, 1, 17, 14],
+  6: [6, 8, 16, 30, 17, 17, 14], 7: [31, 1, 2, 4, 8, 8, 8], 8: [14, 17, 17, 14, 17, 17, 14],
+  9: [14, 17, 17, 15, 1, 2, 12],
+  ' ': [0, 0, 0, 0, 0, 0, 0], '-': [0, 0, 0, 31, 0, 0, 0], '.': [0, 0, 0, 0, 0, 12, 12],
+  '?': [14, 17, 1, 2, 4, 0, 4]
+};
+const GLYPH_W = 5;
+const GLYPH_H = 7;
+
+// FNV-1a, so the same prompt always renders the same placeholder
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function hslToRgb(h, s, l) {
+  const k = (n) => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = (n) => l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+  return [Math.round(f(0) * 255), Math.round(f(8) * 255), Math.round(f(4) * 255)];
+}
+
+// Exact pixels when given, else 1024 on the long side at the requested ratio
+function outputSize(size) {
+  if (!size) return { width: 1024, height: 1024 };
+  if (size.width && size.height) return { width: size.width, height: size.height };
+  return size.aspectRatio >= 1
+    ? { width: 1024, height: Math.round(1024 / size.aspectRatio) }
+    : { width: Math.round(1024 * size.aspectRatio), height: 1024 };
+}
+
+// The client wraps the user's words in an instruction; label the card with the words themselves
+function labelFromPrompt(prompt) {
+  const lines = prompt.split('\n').map(l => l.trim()).filter(Boolean);
+  const text = (lines[lines.length - 1] || 'object').toUpperCase().slice(0, 40);
+  const words = text.split(/\s+/);
+  const wrapped = [];
+  let line = '';
+  for (const word of words) {
+    if (line && (line + ' ' + word).length > 12) {
+      wrapped.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) wrapped.push(line);
+  return wrapped.slice(0, 4);
+}
+
+export function renderPlaceholderPng(prompt, size, variant = 0) {
+  const { width, height } = outputSize(size);
+  const png = new PNG({ width, height });
+  const data = png.data;
+  // Variations of one prompt get their own colour and card shape
+  const hash = hashString(variant ? `${prompt}#${variant}` : prompt);
+  const fill = hslToRgb(hash % 360, 0.65, 0.5);
+  const edge = hslToRgb(hash % 360, 0.65, 0.3);
+
+  const setPixel = (x, y, [r, g, b]) => {
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    const i = (y * width + x) * 4;
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+    data[i + 3] = 255;
+  };
+
+  // White background, matching what the client asks real providers for
+  data.fill(255);
+
+  const lines = labelFromPrompt(prompt);
+  const longest = Math.max(...lines.map(l => l.length), 1);
+  const cardW = Math.round(width * (0.55 + (hash % 20) / 100));
+  const pixel = Math.max(1, Math.floor(Math.min((cardW * 0.8) / (longest * (GLYPH_W + 1)), (height * 0.5) / (lines.length * (GLYPH_H + 2)))));
+  const textH = lines.length * (GLYPH_H + 2) * pixel;
+  const cardH = Math.min(Math.round(height * 0.8), textH + Math.round(height * 0.2));
+  const cardX = Math.round((width - cardW) / 2);
+  const cardY = Math.round((height - cardH) / 2);
+  const radius = Math.round(Math.min(cardW, cardH) * 0.12);
+  const border = Math.max(2, Math.round(Math.min(width, height) / 100));
+
+  // Rounded card with a darker border
+  for (let y = cardY; y < cardY + cardH; y++) {
+    for (let x = cardX; x < cardX + cardW; x++) {
+      const dx = Math.max(cardX + radius - x, 0, x - (cardX + cardW - 1 - radius));
+      const dy = Math.max(cardY + radius - y, 0, y - (cardY + cardH - 1 - radius));
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      if (dist > radius) continue;
+      const onEdge = dist > radius - border || x < cardX + border || x >= cardX + cardW - border ||
+        y < cardY + border || y >= cardY + cardH - border;
+      setPixel(x, y, onEdge ? edge : fill);
+    }
+  }
+
+  // Label, centred line by line
+  let penY = Math.round(cardY + (cardH - textH) / 2 + pixel);
+  for (const line of lines) {
+    let penX = Math.round(width / 2 - (line.length * (GLYPH_W + 1) * pixel) / 2);
+    for (const ch of line) {
+      const rows = GLYPHS[ch] || GLYPHS['?'];
+      for (let gy = 0; gy < GLYPH_H; gy++) {
+        for (let gx = 0; gx < GLYPH_W; gx++) {
+          if (!(rows[gy] & (1 << (GLYPH_W - 1 - gx)))) continue;
+          for (let py = 0; py < pixel; py++) {
+            for (let px = 0; px < pixel; px++) {
+              setPixel(penX + gx * pixel + px, penY + gy * pixel + py, [255, 255, 255]);
+            }
+          }
+        }
+      }
+      penX += (GLYPH_W + 1) * pixel;
+    }
+    penY += (GLYPH_H + 2) * pixel;
+  }
+
+  return PNG.sync.write(png);
+}
+
+// Resolve after ms, or reject early when signal aborts
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const cancelled = () => Object.assign(new Error('Generation cancelled'), { status: 499 });
+    if (signal?.aborted) return reject(cancelled());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(cancelled());
+    }, { once: true });
+  });
+}
+
+// Deterministic offline provider: no key, no network, same prompt -> same image.
+// STUB_DELAY_MS adds artificial latency for trying out progress and cancel in the UI.
+export function createStubProvider(env = process.env) {
+  const delayMs = Math.max(0, Number(env.STUB_DELAY_MS) || 0);
+  return {
+    name: 'stub',
+    model: 'stub-placeholder-v1',
+    missingConfig: null,
+    returnsText: false,
+
+    async generate({ prompt, size, signal, onText, variant = 0 }) {
+      const textResponse = 'Placeholder image rendered by the stub provider';
+      await delay(delayMs, signal);
+      if (onText) onText(textResponse);
+      const buffer = renderPlaceholderPng(prompt, size, variant);
+      return {
+        imageBase64: buffer.toString('base64'),
+        mimeType: 'image/png',
+        textResponse
+      };
+    }
+  };
+}
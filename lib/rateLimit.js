@@ -0,0 +1,113 @@
+// In-memory throttling for image generation. Each serverless instance keeps its own
+// counters, so on Vercel the limits are per instance rather than exact.
+//
+// RATE_LIMIT_WINDOW_MS   sliding window length (default 60000)
+// RATE_LIMIT_PER_IP      generations per client per window (default 6)
+// RATE_LIMIT_GLOBAL      generations across all clients per window (default 30)
+// DAILY_QUOTA_PER_IP     generations per client per UTC day (default 50)
+// DAILY_QUOTA            generations across all clients per UTC day (default 500)
+// Set any limit to 0 to disable it.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function readLimits(env = process.env) {
+  const num = (value, fallback) => {
+    const n = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(n) && n >= 0 ? n : fallback;
+  };
+  return {
+    windowMs: num(env.RATE_LIMIT_WINDOW_MS, 60000) || 60000,
+    perIp: num(env.RATE_LIMIT_PER_IP, 6),
+    global: num(env.RATE_LIMIT_GLOBAL, 30),
+    dailyPerIp: num(env.DAILY_QUOTA_PER_IP, 50),
+    daily: num(env.DAILY_QUOTA, 500)
+  };
+}
+
+const windowHits = new Map(); // ip -> timestamps within the window
+let globalHits = [];
+let dailyCounts = { day: null, total: 0, perIp: new Map() };
+
+function utcDay(now) {
+  return Math.floor(now / DAY_MS);
+}
+
+function prune(hits, now, windowMs) {
+  let i = 0;
+  while (i < hits.length && hits[i] <= now - windowMs) i++;
+  return i ? hits.slice(i) : hits;
+}
+
+// The client address; Vercel's edge always rewrites x-forwarded-for, elsewhere Express's
+// req.ip applies (configure TRUST_PROXY when running behind a reverse proxy)
+export function clientIp(req) {
+  if (process.env.VERCEL) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (forwarded) return String(forwarded).split(',')[0].trim();
+  }
+  return req.ip || req.socket?.remoteAddress || 'unknown';
+}
+
+// Check every limit for `cost` generations and record them only if all pass.
+// Returns null when allowed, otherwise { scope, limit, retryAfter (seconds), message }.
+export function takeGenerationQuota(ip, cost = 1, now = Date.now()) {
+  const limits = readLimits();
+
+  if (dailyCounts.day !== utcDay(now)) {
+    dailyCounts = { day: utcDay(now), total: 0, perIp: new Map() };
+  }
+  const secondsToMidnight = Math.ceil(((utcDay(now) + 1) * DAY_MS - now) / 1000);
+
+  const ipHits = prune(windowHits.get(ip) || [], now, limits.windowMs);
+  globalHits = prune(globalHits, now, limits.windowMs);
+  const ipDaily = dailyCounts.perIp.get(ip) || 0;
+
+  // Seconds until enough window hits expire to make room for `cost` more
+  const retryFor = (hits, limit) => {
+    const index = Math.max(0, hits.length + cost - limit - 1);
+    const oldest = hits[Math.min(index, hits.length - 1)] ?? now;
+    return Math.max(1, Math.ceil((oldest + limits.windowMs - now) / 1000));
+  };
+
+  if (limits.daily && dailyCounts.total + cost > limits.daily) {
+    return { scope: 'daily', limit: limits.daily, retryAfter: secondsToMidnight, message: 'Daily generation quota reached' };
+  }
+  if (limits.dailyPerIp && ipDaily + cost > limits.dailyPerIp) {
+    return { scope: 'daily-client', limit: limits.dailyPerIp, retryAfter: secondsToMidnight, message: 'Daily generation quota for this client reached' };
+  }
+  if (limits.global && globalHits.length + cost > limits.global) {
+    return { scope: 'global', limit: limits.global, retryAfter: retryFor(globalHits, limits.global), message: 'Too many generation requests right now' };
+  }
+  if (limits.perIp && ipHits.length + cost > limits.perIp) {
+    return { scope: 'client', limit: limits.perIp, retryAfter: retryFor(ipHits, limits.perIp), message: 'Too many generation requests from this client' };
+  }
+
+  for (let i = 0; i < cost; i++) {
+    ipHits.push(now);
+    globalHits.push(now);
+  }
+  windowHits.set(ip, ipHits);
+  dailyCounts.total += cost;
+  dailyCounts.perIp.set(ip, ipDaily + cost);
+
+  // Keep the map from growing with clients that have gone quiet
+  if (windowHits.size > 10000) {
+    for (const [key, hits] of windowHits) {
+      if (!prune(hits, now, limits.windowMs).length) windowHits.delete(key);
+    }
+  }
+
+  return null;
+}
+
+// Send a 429 for a result of takeGenerationQuota
+export function sendRateLimited(res, limited) {
+  res.setHeader('Retry-After', String(limited.retryAfter));
+  return res.status(429).json({
+    error: 'Rate limit exceeded',
+    message: limited.message,
+    scope: limited.scope,
+    limit: limited.limit,
+    retryAfter: limited.retryAfter
+  });
+}
@@ -0,0 +1,192 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { isValidAssetId } from './assetStore.js';
+
+// Saved scene layouts as one JSON file per scene under SCENE_STORE_DIR (default data/scenes).
+// Creating a scene returns an edit token; updates must present it in X-Scene-Token, so
+// anyone can load a scene by id but only its creator can overwrite it.
+//
+// On Vercel the filesystem is per-instance and wiped between cold starts, so a scene saved
+// there would vanish (or be missing on the instance that serves the share link). The store
+// is switched off on Vercel unless SCENE_STORE_DIR is set explicitly, and every route then
+// answers 501 so the page can hide sharing instead of handing out dead links.
+
+const MAX_LAYOUT_BYTES = 5 * 1024 * 1024;
+const MAX_OBJECTS = 500;
+const ID_PATTERN = /^[A-Za-z0-9]{8,16}$/;
+const ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789';
+const IMAGE_DATA_PATTERN = /^data:image\/(?:png|jpeg|webp);base64,[A-Za-z0-9+/]+=*$/;
+
+function storeDir() {
+  return process.env.SCENE_STORE_DIR || path.join(process.cwd(), 'data', 'scenes');
+}
+
+export function isSceneStoreAvailable() {
+  return !process.env.VERCEL || !!process.env.SCENE_STORE_DIR;
+}
+
+function storeUnavailable(res) {
+  return res.status(501).json({ error: 'Saved scenes are not available on this deployment' });
+}
+
+export function isValidSceneId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+function newSceneId(length = 10) {
+  const bytes = crypto.randomBytes(length);
+  let id = '';
+  for (const byte of bytes) id += ID_ALPHABET[byte % ID_ALPHABET.length];
+  return id;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function tokenMatches(token, expectedHash) {
+  if (typeof token !== 'string' || !expectedHash) return false;
+  const a = Buffer.from(hashToken(token), 'hex');
+  const b = Buffer.from(expectedHash, 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (_) {
+    return false;
+  }
+}
+
+// Shared layouts are untrusted: every viewer's browser loads the images they name, so only
+// embedded raster data URLs, http(s) source URLs and stored asset ids are accepted
+function validateImageRefs(obj) {
+  if (obj.imageData !== undefined && (typeof obj.imageData !== 'string' || !IMAGE_DATA_PATTERN.test(obj.imageData))) {
+    return 'imageData must be a base64 PNG, JPEG or WebP data URL';
+  }
+  if (obj.sourceUrl !== undefined && (typeof obj.sourceUrl !== 'string' || !isHttpUrl(obj.sourceUrl))) {
+    return 'sourceUrl must be an http(s) URL';
+  }
+  if (obj.asset !== undefined && !isValidAssetId(obj.asset)) {
+    return 'asset must be a stored asset id';
+  }
+  return null;
+}
+
+// Same shape saveSceneLayout produces: { objects: [{ name, x, y, ... }], canvasSize, timestamp }
+export function validateLayout(layout) {
+  if (!layout || typeof layout !== 'object' || !Array.isArray(layout.objects)) {
+    return 'layout.objects must be an array';
+  }
+  if (layout.objects.length > MAX_OBJECTS) {
+    return `layout may hold at most ${MAX_OBJECTS} objects`;
+  }
+  for (const obj of layout.objects) {
+    if (!obj || typeof obj.name !== 'string' || !Number.isFinite(obj.x) || !Number.isFinite(obj.y)) {
+      return 'every object needs a name and numeric x/y';
+    }
+    const invalidImage = validateImageRefs(obj);
+    if (invalidImage) return invalidImage;
+  }
+  if (Buffer.byteLength(JSON.stringify(layout)) > MAX_LAYOUT_BYTES) {
+    return `layout exceeds ${MAX_LAYOUT_BYTES / (1024 * 1024)}MB`;
+  }
+  return null;
+}
+
+async function readScene(id) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(storeDir(), `${id}.json`), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+async function writeScene(record) {
+  const dir = storeDir();
+  await fs.mkdir(dir, { recursive: true });
+  const file = path.join(dir, `${record.id}.json`);
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(record));
+  await fs.rename(tmp, file);
+}
+
+function publicScene(record) {
+  return { id: record.id, layout: record.layout, createdAt: record.createdAt, updatedAt: record.updatedAt };
+}
+
+// GET /api/scenes  ->  { available: true }, or 501 where scenes can't be stored (see above)
+export function sceneStoreStatusHandler(_req, res) {
+  if (!isSceneStoreAvailable()) return storeUnavailable(res);
+  return res.json({ available: true });
+}
+
+// POST /api/scenes  body: { layout }  ->  201 { id, editToken, createdAt, updatedAt }
+export async function createSceneHandler(req, res) {
+  if (!isSceneStoreAvailable()) return storeUnavailable(res);
+  try {
+    const layout = req.body?.layout;
+    const invalid = validateLayout(layout);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    let id = newSceneId();
+    while (await readScene(id)) id = newSceneId();
+    const editToken = crypto.randomBytes(24).toString('base64url');
+    const now = new Date().toISOString();
+    const record = { id, layout, editTokenHash: hashToken(editToken), createdAt: now, updatedAt: now };
+    await writeScene(record);
+
+    console.log(`Saved new scene ${id} (${layout.objects.length} objects)`);
+    return res.status(201).json({ id, editToken, createdAt: now, updatedAt: now });
+  } catch (err) {
+    console.error('Scene create error', err);
+    return res.status(500).json({ error: 'Could not save scene', message: err?.message });
+  }
+}
+
+// GET /api/scenes/:id  ->  { id, layout, createdAt, updatedAt }
+export async function getSceneHandler(req, res) {
+  if (!isSceneStoreAvailable()) return storeUnavailable(res);
+  try {
+    const id = req.params?.id ?? req.query?.id;
+    if (!isValidSceneId(id)) return res.status(400).json({ error: 'Invalid scene id' });
+    const record = await readScene(id);
+    if (!record) return res.status(404).json({ error: 'Scene not found' });
+    return res.json(publicScene(record));
+  } catch (err) {
+    console.error('Scene load error', err);
+    return res.status(500).json({ error: 'Could not load scene', message: err?.message });
+  }
+}
+
+// PUT /api/scenes/:id  header X-Scene-Token, body: { layout }  ->  { id, createdAt, updatedAt }
+export async function updateSceneHandler(req, res) {
+  if (!isSceneStoreAvailable()) return storeUnavailable(res);
+  try {
+    const id = req.params?.id ?? req.query?.id;
+    if (!isValidSceneId(id)) return res.status(400).json({ error: 'Invalid scene id' });
+    const record = await readScene(id);
+    if (!record) return res.status(404).json({ error: 'Scene not found' });
+    if (!tokenMatches(req.headers['x-scene-token'], record.editTokenHash)) {
+      return res.status(403).json({ error: 'Missing or wrong edit token for this scene' });
+    }
+
+    const layout = req.body?.layout;
+    const invalid = validateLayout(layout);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    record.layout = layout;
+    record.updatedAt = new Date().toISOString();
+    await writeScene(record);
+
+    console.log(`Updated scene ${id} (${layout.objects.length} objects)`);
+    const { layout: _layout, ...meta } = publicScene(record);
+    return res.json(meta);
+  } catch (err) {
+    console.error('Scene update error', err);
+    return res.status(500).json({ error: 'Could not update scene', message: err?.message });
+  }
+}
@@ -0,0 +1,106 @@
+// Built-in image assets with the words people are likely to type for them.
+// name: image cache key (and file name), label: what the suggestion list shows,
+// synonyms: other names for the same thing, tags: looser associations (weighted lower).
+// fixture: part of the scene (cup, wastebasket) and never added from the input.
+const ASSET_CATALOG = [
+    {
+        name: 'arduino',
+        label: 'Arduino',
+        path: './images/arduino.png',
+        synonyms: ['arduino uno', 'microcontroller', 'dev board', 'development board', 'circuit board', 'pcb'],
+        tags: ['electronics', 'board', 'chip', 'maker', 'computer']
+    },
+    {
+        name: 'banana',
+        label: 'Banana',
+        path: './images/banana.png',
+        synonyms: ['bananas', 'plantain'],
+        tags: ['fruit', 'food', 'yellow', 'snack']
+    },
+    {
+        name: 'boing',
+        label: 'Boing',
+        path: './images/boing.png',
+        synonyms: ['boing sign', 'bounce', 'trampoline', 'bouncer'],
+        tags: ['bouncy', 'spring', 'jump', 'word']
+    },
+    {
+        name: 'cup',
+        label: 'Cup',
+        path: './images/cup.png',
+        synonyms: ['mug', 'glass', 'beaker'],
+        tags: ['drink', 'goal'],
+        fixture: true
+    },
+    {
+        name: 'eprom',
+        label: 'EPROM chip',
+        path: './images/eprom.png',
+        synonyms: ['eprom', 'microchip', 'memory chip', 'integrated circuit'],
+        tags: ['electronics', 'chip', 'memory', 'computer', 'rom']
+    },
+    {
+        name: 'hotgluegun',
+        label: 'Hot glue gun',
+        path: './images/hotgluegun.png',
+        synonyms: ['glue gun', 'hot glue', 'glue'],
+        tags: ['tool', 'craft', 'maker', 'adhesive']
+    },
+    {
+        name: 'pencil',
+        label: 'Pencil',
+        path: './images/pencil.png',
+        synonyms: ['pencils', 'mechanical pencil'],
+        tags: ['writing', 'drawing', 'crayon', 'school', 'stationery']
+    },
+    {
+        name: 'ribbon_cable_2',
+        label: 'Ribbon cable',
+        path: './images/ribbon_cable_2.png',
+        synonyms: ['ribbon cable', 'cable', 'flat cable', 'ide cable'],
+        tags: ['electronics', 'wire', 'ribbon', 'connector', 'computer']
+    },
+    {
+        name: 'ruler',
+        label: 'Ruler',
+        path: './images/ruler.png',
+        synonyms: ['rulers', 'straightedge', 'measuring stick', 'yardstick'],
+        tags: ['measure', 'school', 'stationery', 'tool']
+    },
+    {
+        name: 'skateboard',
+        label: 'Skateboard',
+        path: './images/skateboard.png',
+        synonyms: ['skate board', 'skate', 'longboard'],
+        tags: ['wheels', 'sport', 'ramp']
+    },
+    {
+        name: 'slipon',
+        label: 'Slip-on shoe',
+        path: './images/slipon.png',
+        synonyms: ['slip on', 'slip-on', 'shoe', 'shoes', 'sneaker', 'sneakers', 'vans'],
+        tags: ['footwear', 'clothing', 'fashion']
+    },
+    {
+        name: 'sunglasses',
+        label: 'Sunglasses',
+        path: './images/sunglasses.png',
+        synonyms: ['sun glasses', 'shades'],
+        tags: ['glasses', 'eyewear', 'summer', 'fashion', 'cool']
+    },
+    {
+        name: 'wastebasket',
+        label: 'Wastebasket',
+        path: './images/wastebasket.png',
+        synonyms: ['trash can', 'bin', 'garbage can', 'waste basket'],
+        tags: ['trash', 'delete'],
+        fixture: true
+    },
+    {
+        name: 'wrench',
+        label: 'Wrench',
+        path: './images/wrench.png',
+        synonyms: ['spanner', 'wrenches', 'monkey wrench'],
+        tags: ['tool', 'mechanic', 'repair']
+    }
+];
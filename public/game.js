@@ -26,15 +26,29 @@ class MusicalMarbleDrop {
         this.pixelDataCache = new Map(); // Cache for per-object pixel data
         // Alpha-based collision settings
         this.alphaThreshold = 128; // pixels with alpha >= threshold are solid (ignore faint antialiasing)
+        this.contourSpeckArea = 16; // traced islands and holes smaller than this (px) are ignored
         this.useAlphaForCollision = true; // prefer alpha channel when available
         this.treatWhiteAsTransparent = true; // treat pure white like transparency
         this.whiteToAlphaTolerance = 10; // how close to white a pixel must be to be transparent
         // Debug overlay
         this.showCollisionOverlay = false; // press 'V' to toggle
         this.showMaskPreview = false; // press 'M' to toggle alpha-mask preview
-        this.forceCollisionMode = 'auto'; // 'auto' | 'alpha' | 'rgb' (press 'A'/'B')
+        this.matteEditor = null; // open matte touch-up session (double-click an image, see openMatteEditor)
+        this.forceCollisionMode = 'auto'; // 'auto' | 'alpha' | 'rgb' (press 'A'/'B'/'O')
+        this.polygonBodies = false; // press 'P': polygon bodies for images without their own collisionMode
         this.showCellDebug = false; // press 'G' to toggle grid cell debug
-        this.lastCollisionGrid = null; // stores last built grid for banana
+        this.lastCollisionGrid = null; // last built collision grid with its merged parts (drawn by 'G')
+        this.useServerCollisionShapes = true; // precompute image bodies via /api/collision-shape (falls back to local pixels)
+        this.collisionGridSize = 4; // px per collision grid cell (smaller = tighter outline, more parts)
+        this.processedCacheEnabled = true; // keep keyed images and collision grids in IndexedDB between visits (Ctrl+Shift+K clears)
+        this.processedCacheDb = null; // promise of the IndexedDB handle (see openProcessedCache)
+        // IndexedDB version of that cache: bump it whenever keying or grid building changes, and
+        // the upgrade drops every entry stored by the old code
+        this.processedCacheVersion = 2;
+        this.processedCacheMaxEntries = 200; // per store; the oldest entries are pruned past this
+        this.imageWorker = null; // keys and measures images off the main thread (see setupImageWorker)
+        this.imageWorkerJobs = new Map(); // job id -> { resolve, reject }
+        this.imageWorkerNextId = 1;
         // Track folder images that have been placed to avoid duplicates
         this.placedFolderImages = new Set();
         // Track image-based cup and wastebasket objects
@@ -42,6 +56,34 @@ class MusicalMarbleDrop {
         this.imageWastebasketObj = null;
         this.deleteIndicator = null;
         this.deletePopover = null;
+        this.canvasMessage = null; // friendly notice drawn above the input (see showCanvasMessage)
+        this.customImageCounter = 0; // numbers the cache names of non-built-in images (see customImageName)
+        this.currentSceneId = null; // id of the stored scene being shown/edited (see /api/scenes)
+        this.sceneApiAvailable = false; // set by probeSceneApi; the share button shows only when true
+        this.generatedImageSize = '512x512'; // output size requested from /api/generate-image
+        // On-screen length of the longest side of an object's visible content, per source
+        // (see fitImageScale); null keeps the image's native size
+        this.objectSizePolicy = { generated: 200, url: 200, upload: 200, builtin: null };
+        this.uploadMaxPixels = 1024; // uploaded files are downscaled to this longest side before keying
+        this.generationQueue = []; // pending/running/failed generation requests, each with a ghost placeholder
+        this.generationQueueCounter = 0;
+        this.maxConcurrentGenerations = 2; // requests sent to /api/generate-image at once
+        this.pickFromVariations = false; // ask for several images per prompt and choose one (#variationsBtn)
+        this.variationCount = 3; // candidates requested in that mode
+        this.variationPickerChain = Promise.resolve(); // one picker strip at a time (see pickVariation)
+        this.activeVariationPicker = null; // { choose(index), count } while the strip is open
+        this.offlineFallback = true; // when the AI can't make an image, place seeded word art instead (see createWordArtObject)
+        // Placement of new objects (see findPlacement)
+        this.placementMode = 'path'; // 'path' (near the marble's path) | 'click' (near lastClickPosition), press 'L'
+        this.lastClickPosition = null; // last click on empty canvas
+        this.marblePathSamples = []; // recent live marble positions
+        this.marblePathSampleTick = 0;
+        this.placementBottomReserve = 110; // keep new objects clear of the input bar
+        // Built-in asset lookup (see findCatalogMatches); ASSET_CATALOG comes from assetCatalog.js
+        this.catalogAutoMatchCoverage = 0.5; // a built-in replaces the AI when one of its names covers more than this share of the prompt's words
+        this.catalogSuggestionScore = 0.5; // weakest match still listed under the input
+        this.catalogSuggestions = []; // entries currently listed under #objectInput
+        this.catalogSuggestionIndex = -1; // highlighted suggestion, -1 for none
         
         // Marble path recording/playback system
         this.recordingMode = false; // Set to true to record marble paths
@@ -74,6 +116,7 @@ class MusicalMarbleDrop {
         
         this.setupCanvas();
         this.setupPhysics();
+        this.setupImageWorker();
         this.loadImages();
         this.createInitialScene();
         this.setupEventListeners();
@@ -82,22 +125,10 @@ class MusicalMarbleDrop {
     }
     
     loadImages() {
-        const imagesToLoad = [
-            { name: 'arduino', path: './images/arduino.png' },
-            { name: 'banana', path: './images/banana.png' },
-            { name: 'boing', path: './images/boing.png' },
-            { name: 'cup', path: './images/cup.png' },
-            { name: 'eprom', path: './images/eprom.png' },
-            { name: 'hotgluegun', path: './images/hotgluegun.png' },
-            { name: 'pencil', path: './images/pencil.png' },
-            { name: 'ribbon_cable_2', path: './images/ribbon_cable_2.png' },
-            { name: 'ruler', path: './images/ruler.png' },
-            { name: 'skateboard', path: './images/skateboard.png' },
-            { name: 'slipon', path: './images/slipon.png' },
-            { name: 'sunglasses', path: './images/sunglasses.png' },
-            { name: 'wastebasket', path: './images/wastebasket.png' },
-            { name: 'wrench', path: './images/wrench.png' }
-        ];
+        // Every built-in asset is listed, with its synonyms and tags, in assetCatalog.js
+        const imagesToLoad = ASSET_CATALOG;
+        // Built-ins can be referenced by name when asking the server for collision shapes
+        this.builtinImageNames = new Set(imagesToLoad.map(info => info.name));
 
         imagesToLoad.forEach(async (imageInfo) => {
             try {
@@ -110,25 +141,299 @@ class MusicalMarbleDrop {
     }
 
     // Dynamically load an image and key out near-white to transparency; caches result
-    loadAndProcessImage(name, url, tolerance = this.whiteToAlphaTolerance) {
+    // options: { preMatted: true } skips keying for images that already carry a real alpha matte
+    loadAndProcessImage(name, url, tolerance = this.whiteToAlphaTolerance, options = {}) {
+        const { preMatted = false } = options;
         return new Promise((resolve, reject) => {
             const img = new Image();
             img.crossOrigin = 'anonymous';
-            img.onload = () => {
-                const processedCanvas = this.keyWhiteToAlpha(img, { tolerance });
-                this.imageCache.set(name, processedCanvas);
-                resolve(processedCanvas);
+            img.onload = async () => {
+                try {
+                    const processedCanvas = await this.processImage(img, { tolerance, preMatted });
+                    // Unkeyed pixels, so the matte editor can re-key or restore what keying removed
+                    processedCanvas.sourceImage = img;
+                    this.imageCache.set(name, processedCanvas);
+                    resolve(processedCanvas);
+                } catch (err) {
+                    reject(err);
+                }
             };
             img.onerror = (err) => reject(err);
             img.src = url;
         });
     }
 
+    // Keyed canvas for a loaded image, read back from the IndexedDB cache when the same pixels
+    // were keyed with the same tolerance before. The canvas carries contentKey (pixel hash and
+    // tolerance), which also keys its cached collision grids; images without one aren't cached.
+    async processImage(img, { tolerance, preMatted = false }) {
+        const hash = this.processedCacheEnabled ? await this.imageContentHash(img).catch(() => null) : null;
+        const contentKey = hash ? `${hash}|${preMatted ? 'matted' : tolerance}` : null;
+        let canvas = null;
+        if (preMatted) {
+            canvas = this.imageToCanvas(img);
+        } else {
+            const cached = contentKey ? await this.readProcessedCache('mattes', contentKey) : null;
+            if (cached) canvas = await this.blobToCanvas(cached).catch(() => null);
+            if (!canvas) {
+                canvas = await this.keyWhiteToAlphaOffThread(img, { tolerance });
+                if (contentKey) {
+                    this.canvasToBlob(canvas)
+                        .then(blob => this.writeProcessedCache('mattes', contentKey, blob))
+                        .catch(e => console.warn('Could not cache keyed image', e));
+                }
+            }
+        }
+        canvas.contentKey = contentKey;
+        // Built-ins are keyed again on the server for their collision shapes (fetchCollisionShape)
+        canvas.matteTolerance = preMatted ? null : tolerance;
+        return canvas;
+    }
+
+    // SHA-256 of an image's RGBA pixels as hex; null without Web Crypto (plain-http origins)
+    async imageContentHash(image) {
+        if (!window.crypto || !crypto.subtle) return null;
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0);
+        const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const digest = await crypto.subtle.digest('SHA-256', data);
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    canvasToBlob(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas could not be encoded'))), 'image/png');
+        });
+    }
+
+    async blobToCanvas(blob) {
+        const bitmap = await createImageBitmap(blob);
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        canvas.getContext('2d').drawImage(bitmap, 0, 0);
+        bitmap.close();
+        return canvas;
+    }
+
+    // IndexedDB cache of processed images between visits: 'mattes' holds keyed PNGs by
+    // contentKey, 'shapes' holds collision grids by contentKey, body size, alphaThreshold and
+    // grid size. Every setting is part of the key, so changing one misses and rebuilds; code
+    // changes bump processedCacheVersion instead. Entries are stored as { value, savedAt } so
+    // each store can be trimmed to the newest processedCacheMaxEntries.
+    // Resolves null when IndexedDB is unavailable or the cache is disabled.
+    openProcessedCache() {
+        if (!this.processedCacheEnabled || typeof indexedDB === 'undefined') return Promise.resolve(null);
+        if (!this.processedCacheDb) {
+            this.processedCacheDb = new Promise((resolve) => {
+                const request = indexedDB.open('musical-marble-drop-images', this.processedCacheVersion);
+                request.onupgradeneeded = () => {
+                    // Entries from another version may not match what this code builds: start over
+                    const db = request.result;
+                    for (const store of ['mattes', 'shapes']) {
+                        if (db.objectStoreNames.contains(store)) db.deleteObjectStore(store);
+                        db.createObjectStore(store).createIndex('savedAt', 'savedAt');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('Processed image cache unavailable', request.error);
+                    resolve(null);
+                };
+                request.onblocked = () => resolve(null);
+            });
+        }
+        return this.processedCacheDb;
+    }
+
+    // Cached value, or null on a miss or any storage error
+    async readProcessedCache(store, key) {
+        const db = await this.openProcessedCache();
+        if (!db) return null;
+        return new Promise((resolve) => {
+            try {
+                const request = db.transaction(store, 'readonly').objectStore(store).get(key);
+                request.onsuccess = () => resolve(request.result?.value ?? null);
+                request.onerror = () => resolve(null);
+            } catch (e) {
+                resolve(null);
+            }
+        });
+    }
+
+    // Best effort: a full disk or private-mode storage only costs the cache. Past
+    // processedCacheMaxEntries the oldest entries of the store are deleted in the same transaction.
+    async writeProcessedCache(store, key, value) {
+        const db = await this.openProcessedCache();
+        if (!db) return;
+        await new Promise((resolve) => {
+            try {
+                const tx = db.transaction(store, 'readwrite');
+                const objectStore = tx.objectStore(store);
+                objectStore.put({ value, savedAt: Date.now() }, key);
+                const count = objectStore.count();
+                count.onsuccess = () => {
+                    let excess = count.result - this.processedCacheMaxEntries;
+                    if (excess <= 0) return;
+                    const cursor = objectStore.index('savedAt').openCursor();
+                    cursor.onsuccess = () => {
+                        if (!cursor.result || excess-- <= 0) return;
+                        cursor.result.delete();
+                        cursor.result.continue();
+                    };
+                };
+                tx.oncomplete = () => resolve();
+                tx.onerror = tx.onabort = () => {
+                    console.warn(`Could not cache ${store} entry`, tx.error);
+                    resolve();
+                };
+            } catch (e) {
+                console.warn(`Could not cache ${store} entry`, e);
+                resolve();
+            }
+        });
+    }
+
+    async clearProcessedCache() {
+        const db = await this.openProcessedCache();
+        if (!db) return false;
+        return new Promise((resolve) => {
+            const tx = db.transaction(['mattes', 'shapes'], 'readwrite');
+            tx.objectStore('mattes').clear();
+            tx.objectStore('shapes').clear();
+            tx.oncomplete = () => resolve(true);
+            tx.onerror = tx.onabort = () => resolve(false);
+        });
+    }
+
+    // Remote images go through our own /api/fetch-image so their pixels stay readable
+    proxiedImageUrl(url) {
+        return `/api/fetch-image?url=${encodeURIComponent(url)}`;
+    }
+
+    // Load a remote image via the proxy, falling back to a direct (CORS) load when the
+    // proxy isn't available, e.g. on a static-only deployment
+    async addRemoteImageObject(name, url, options = {}) {
+        try {
+            return await this.addImageObject(name, this.proxiedImageUrl(url), { ...options, sourceUrl: url });
+        } catch (e) {
+            console.warn(`Image proxy could not load ${url}, trying directly`, e);
+            return this.addImageObject(name, url, options);
+        }
+    }
+
+    // Add a PNG/JPEG/WebP file from the user's machine at (x, y). The file is downscaled to
+    // uploadMaxPixels, keyed and traced like any other image, then uploaded to /api/assets in the
+    // background so saved scenes can reference it.
+    async addImageFile(file, x, y) {
+        const allowedTypes = ['image/png', 'image/jpeg', 'image/webp'];
+        if (!file || !allowedTypes.includes(file.type)) {
+            this.showCanvasMessage('Only PNG, JPEG or WebP images can be added.', 4000);
+            return null;
+        }
+
+        const fileUrl = URL.createObjectURL(file);
+        let normalizedUrl = null;
+        try {
+            const img = await new Promise((resolve, reject) => {
+                const image = new Image();
+                image.onload = () => resolve(image);
+                image.onerror = () => reject(new Error(`Could not decode ${file.name}`));
+                image.src = fileUrl;
+            });
+
+            // Re-encode as a bounded PNG so keying, tracing and the asset upload stay cheap
+            const fit = Math.min(1, this.uploadMaxPixels / Math.max(img.width, img.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(img.width * fit));
+            canvas.height = Math.max(1, Math.round(img.height * fit));
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            normalizedUrl = URL.createObjectURL(blob);
+
+            const obj = await this.addImageObject(`upload_${Date.now()}`, normalizedUrl, {
+                x, y, source: 'upload', tolerance: this.whiteToAlphaTolerance, isStatic: true
+            });
+            this.uploadImageAsset(obj);
+            const statusEl = document.getElementById('status');
+            if (statusEl) statusEl.textContent = `Added ${file.name}`;
+            return obj;
+        } catch (e) {
+            console.error('Failed to add image file', file.name, e);
+            this.showCanvasMessage(`Couldn't add ${file.name}.`, 4000);
+            return null;
+        } finally {
+            URL.revokeObjectURL(fileUrl);
+            if (normalizedUrl) URL.revokeObjectURL(normalizedUrl);
+        }
+    }
+
+    // Cache name for an image that isn't a built-in: its base name plus #<n>, unique for this
+    // page. A #<n> already on the name (from a saved layout) is replaced.
+    customImageName(base) {
+        return `${String(base).replace(/#\d+$/, '')}#${++this.customImageCounter}`;
+    }
+
+    // Scale that makes the longest side of the image's visible content (alpha above
+    // alphaThreshold, so soft matte edges and empty margins don't count) targetSize pixels long.
+    // Returns 1 without a target or visible content.
+    fitImageScale(imgCanvas, targetSize) {
+        if (!targetSize) return 1;
+        const bounds = this.getOpaqueBounds(imgCanvas);
+        if (!bounds) return 1;
+        const scale = targetSize / Math.max(bounds.width, bounds.height);
+        return Math.min(4, Math.max(0.05, scale));
+    }
+
+    // Bounding box of pixels with alpha >= alphaThreshold, or null when there are none
+    getOpaqueBounds(imgCanvas) {
+        const w = imgCanvas.width;
+        const h = imgCanvas.height;
+        const data = imgCanvas.getContext('2d').getImageData(0, 0, w, h).data;
+        let minX = w, minY = h, maxX = -1, maxY = -1;
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                if (data[(y * w + x) * 4 + 3] >= this.alphaThreshold) {
+                    if (x < minX) minX = x;
+                    if (x > maxX) maxX = x;
+                    if (y < minY) minY = y;
+                    if (y > maxY) maxY = y;
+                }
+            }
+        }
+        if (maxX < 0) return null;
+        return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+    }
+
+    // Copy an image onto a canvas untouched (used for server-matted images)
+    imageToCanvas(image) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').drawImage(image, 0, 0);
+        return canvas;
+    }
+
     // Public API: dynamically add an image object at runtime
-    // options: { x, y, scale=1, tolerance=48, isStatic=true }
+    // options: { x, y, scale, source, rotation=0, tolerance=48, isStatic=true, preMatted=false, assetId, sourceUrl, collisionMode }
+    // source ('generated' | 'url' | 'upload' | 'builtin') sizes the object by objectSizePolicy
+    // when no explicit scale is given (saved layouts pass their scale); otherwise scale defaults to 1.
+    // assetId marks images that already live in /api/assets so saving doesn't upload them again;
+    // sourceUrl is the original address of a proxied remote image; collisionMode ('grid' |
+    // 'polygon') pins the body type for this object, otherwise the global toggle decides.
+    // Anything but a built-in is cached under a unique name (see customImageName), so a remote
+    // "banana.png" never replaces the built-in banana.
     async addImageObject(name, url, options = {}) {
-        const { x = this.canvas.width / 2, y = this.canvas.height / 2, scale = 1, tolerance = this.whiteToAlphaTolerance, isStatic = true } = options;
-        const imgCanvas = await this.loadAndProcessImage(name, url, tolerance);
+        const { x = this.canvas.width / 2, y = this.canvas.height / 2, source = null, rotation = 0, tolerance = this.whiteToAlphaTolerance, isStatic = true, preMatted = false, assetId = null, collisionMode = null } = options;
+        const sourceUrl = options.sourceUrl || (/^https?:\/\//i.test(url) ? url : null);
+        const isCustomImage = source !== 'builtin';
+        if (isCustomImage) name = this.customImageName(name);
+        const imgCanvas = await this.loadAndProcessImage(name, url, tolerance, { preMatted });
+        // Size is settled here, before the collision grid is built at the final dimensions
+        const scale = options.scale ?? this.fitImageScale(imgCanvas, this.objectSizePolicy[source]);
         const width = imgCanvas.width * scale;
         const height = imgCanvas.height * scale;
 
@@ -142,17 +447,23 @@ class MusicalMarbleDrop {
             isDraggable: true,
             isImage: true,
             width,
-            height
+            height,
+            isCustomImage,
+            assetId,
+            // Remote images can be re-fetched by URL if their pixels can't be stored
+            sourceUrl,
+            collisionMode
         };
 
         let body;
         try {
-            // Create and position a pixel-accurate compound body
-            body = this.createAndPositionImageBody(imgCanvas, x, y, width, height, 0);
+            // Create and position a pixel-accurate compound body (server-precomputed when available)
+            body = await this.resolveImageBody(name, imgCanvas, x, y, width, height, rotation, this.imageBodyMode(obj));
         } catch (e) {
             console.error('Failed to create accurate body for image, falling back to rectangle', e);
             body = Matter.Bodies.rectangle(x, y, width, height, {
                 isStatic: isStatic,
+                angle: rotation,
                 restitution: 0.4,
                 friction: 0.01,
                 frictionStatic: 0.005
@@ -171,8 +482,11 @@ class MusicalMarbleDrop {
     }
 
     // Add an image that was already loaded into imageCache (no re-fetch)
+    // options: { scale=1, isStatic=true, rotation=0, collisionShape, collisionMode } — collisionShape
+    // is a precomputed /api/collision-shape result; without one the server is asked in the
+    // background. Polygon bodies (collisionMode or the global toggle) are always traced here.
     addCachedImageObject(name, x, y, options = {}) {
-        const { scale = 1, isStatic = true, rotation = 0 } = options;
+        const { scale = 1, isStatic = true, rotation = 0, collisionShape = null, collisionMode = null } = options;
         if (!this.imageCache.has(name)) return null;
         const imgCanvas = this.imageCache.get(name);
         const width = imgCanvas.width * scale;
@@ -188,12 +502,38 @@ class MusicalMarbleDrop {
             isDraggable: true,
             isImage: true,
             width,
-            height
+            height,
+            collisionMode
         };
+        const mode = this.imageBodyMode(obj);
 
         let body;
         try {
-            body = this.createAndPositionImageBody(imgCanvas, x, y, width, height, rotation);
+            if (mode === 'polygon') {
+                body = this.createAndPositionImageBody(imgCanvas, x, y, width, height, rotation, mode);
+            } else if (collisionShape) {
+                body = this.createBodyFromCollisionShape(collisionShape);
+                Matter.Body.setPosition(body, { x, y });
+                Matter.Body.setAngle(body, rotation);
+            } else {
+                // Non-colliding stand-in until the grid arrives (cache, server or image worker),
+                // so the page never blocks
+                const standIn = Matter.Bodies.rectangle(x, y, width, height, {
+                    isSensor: true,
+                    angle: rotation,
+                    restitution: 0.4,
+                    friction: 0.01,
+                    frictionStatic: 0.005
+                });
+                body = standIn;
+                this.resolveImageBody(name, imgCanvas, x, y, width, height, rotation)
+                    .then(accurateBody => {
+                        // A rebuild (P, Shift+P, R, matte edit) may already have replaced the
+                        // stand-in, possibly in another mode: that body wins
+                        if (obj.body === standIn) this.replaceObjectBody(obj, accurateBody);
+                    })
+                    .catch(e => console.error('Failed to build deferred body for cached image', e));
+            }
         } catch (e) {
             console.error('Failed to create accurate body for cached image, falling back to rectangle', e);
             body = Matter.Bodies.rectangle(x, y, width, height, {
@@ -214,7 +554,6 @@ class MusicalMarbleDrop {
     // Convert near-white pixels to transparent alpha on a canvas and return the canvas
     // options: { tolerance: number (0-255) }
     keyWhiteToAlpha(image, options = {}) {
-        const tolerance = Math.max(0, Math.min(255, options.tolerance ?? 48));
         const w = image.width;
         const h = image.height;
         const canvas = document.createElement('canvas');
@@ -224,93 +563,281 @@ class MusicalMarbleDrop {
 
         ctx.drawImage(image, 0, 0, w, h);
         const imgData = ctx.getImageData(0, 0, w, h);
-        const data = imgData.data;
-        const thr = 255 - tolerance;
+        ImagePipeline.keyWhiteToAlpha(imgData.data, w, h, options.tolerance ?? 48);
+        ctx.putImageData(imgData, 0, 0);
+        return canvas;
+    }
 
-        // Sample background color from 4 corners to also key non-white uniform backgrounds
-        const corner = (x, y) => {
-            const idx = (y * w + x) * 4;
-            return [data[idx], data[idx + 1], data[idx + 2]];
+    // keyWhiteToAlpha with the pixel loop in the image worker; same canvas result, and the
+    // main-thread version when there is no worker or it fails
+    async keyWhiteToAlphaOffThread(image, options = {}) {
+        if (!this.imageWorker) return this.keyWhiteToAlpha(image, options);
+        try {
+            const bitmap = await createImageBitmap(image);
+            const { width, height, pixels } = await this.runImageJob('matte', { bitmap, tolerance: options.tolerance ?? 48 }, [bitmap]);
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            canvas.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(pixels), width, height), 0, 0);
+            return canvas;
+        } catch (e) {
+            console.warn('Image worker could not key the image, keying it here', e);
+            return this.keyWhiteToAlpha(image, options);
+        }
+    }
+
+    // Start the image worker (imagePipelineWorker.js). Without Worker, OffscreenCanvas or
+    // createImageBitmap the pipeline runs on the main thread, as does any job that fails.
+    setupImageWorker() {
+        if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap === 'undefined') {
+            console.log('Image worker unavailable, processing images on the main thread');
+            return;
+        }
+        try {
+            this.imageWorker = new Worker('/imagePipelineWorker.js');
+        } catch (e) {
+            console.warn('Image worker failed to start, processing images on the main thread', e);
+            return;
+        }
+        this.imageWorker.onmessage = (e) => {
+            const job = this.imageWorkerJobs.get(e.data.id);
+            if (!job) return;
+            this.imageWorkerJobs.delete(e.data.id);
+            if (e.data.error) job.reject(new Error(e.data.error));
+            else job.resolve(e.data);
         };
-        const c1 = corner(0, 0);
-        const c2 = corner(w - 1, 0);
-        const c3 = corner(0, h - 1);
-        const c4 = corner(w - 1, h - 1);
-        const bgR = Math.round((c1[0] + c2[0] + c3[0] + c4[0]) / 4);
-        const bgG = Math.round((c1[1] + c2[1] + c3[1] + c4[1]) / 4);
-        const bgB = Math.round((c1[2] + c2[2] + c3[2] + c4[2]) / 4);
-        const bgBrightness = (bgR + bgG + bgB) / 3;
-        const colorTol = Math.max(20, Math.floor(tolerance * 1.25));
-
-        for (let i = 0; i < data.length; i += 4) {
-            const r = data[i];
-            const g = data[i + 1];
-            const b = data[i + 2];
-            // If pixel is close to pure white, make it transparent
-            let makeTransparent = (r >= thr && g >= thr && b >= thr);
-
-            // Also remove pixels that are close to the sampled background color
-            if (!makeTransparent) {
-                const dr = r - bgR, dg = g - bgG, db = b - bgB;
-                const dist = Math.sqrt(dr * dr + dg * dg + db * db);
-                const brightness = (r + g + b) / 3;
-                if (dist < colorTol && Math.abs(brightness - bgBrightness) < 30) {
-                    makeTransparent = true;
-                }
-            }
+        // A worker that can't load (missing file, blocked importScripts) fails every pending job
+        // and is dropped, so later images go straight to the main thread
+        this.imageWorker.onerror = (e) => {
+            console.warn('Image worker error, processing images on the main thread from now on', e.message || e);
+            this.imageWorker.terminate();
+            this.imageWorker = null;
+            for (const job of this.imageWorkerJobs.values()) job.reject(new Error('Image worker stopped'));
+            this.imageWorkerJobs.clear();
+        };
+    }
 
-            if (makeTransparent) {
-                data[i + 3] = 0; // alpha
-            }
+    // Post a job to the image worker; resolves with its reply. transfer lists the bitmaps and
+    // buffers handed over rather than copied.
+    runImageJob(type, payload, transfer = []) {
+        if (!this.imageWorker) return Promise.reject(new Error('Image worker unavailable'));
+        const id = this.imageWorkerNextId++;
+        return new Promise((resolve, reject) => {
+            this.imageWorkerJobs.set(id, { resolve, reject });
+            this.imageWorker.postMessage({ type, id, ...payload }, transfer);
+        });
+    }
+    
+    // Matte touch-up editor: erase/restore brushes and a tolerance slider over the object's
+    // unkeyed source pixels, previewed live (optionally as the solid/clear mask, like
+    // showMaskPreview). Apply rebuilds the body with createAccurateImageBody and stores the new
+    // pixels in /api/assets. Server-matted images only have their matted pixels to go back to.
+    openMatteEditor(obj) {
+        if (this.matteEditor || !obj.image) return;
+        const w = obj.image.width;
+        const h = obj.image.height;
+        let source;
+        try {
+            const sourceCanvas = document.createElement('canvas');
+            sourceCanvas.width = w;
+            sourceCanvas.height = h;
+            sourceCanvas.getContext('2d').drawImage(obj.image.sourceImage || obj.image, 0, 0, w, h);
+            source = sourceCanvas.getContext('2d').getImageData(0, 0, w, h);
+        } catch (e) {
+            // Cross-origin images loaded without the proxy can't be read back
+            console.warn('Matte editor cannot read this image', e);
+            this.showCanvasMessage("This image can't be edited.", 3000);
+            return;
         }
 
-        // Flood-fill from borders to remove any connected background-like regions
-        const inBounds = (x, y) => x >= 0 && y >= 0 && x < w && y < h;
-        const idxAt = (x, y) => (y * w + x) * 4;
-        const isBackgroundLike = (x, y) => {
-            const i = idxAt(x, y);
-            const r = data[i], g = data[i + 1], b = data[i + 2], a = data[i + 3];
-            if (a === 0) return true; // already cleared
-            const maxC = Math.max(r, g, b);
-            const minC = Math.min(r, g, b);
-            const brightness = (r + g + b) / 3;
-            const chroma = maxC - minC;
-            const nearWhite = brightness > 240 && chroma < 25; // more permissive
-            const dr = r - bgR, dg = g - bgG, db = b - bgB;
-            const dist = Math.sqrt(dr * dr + dg * dg + db * db);
-            return nearWhite || dist < colorTol;
+        // Continue an earlier session's brush strokes on the same object
+        const previous = obj.matteEdit && obj.matteEdit.edits.length === w * h ? obj.matteEdit : null;
+        const composed = document.createElement('canvas');
+        composed.width = w;
+        composed.height = h;
+        const state = {
+            obj,
+            width: w,
+            height: h,
+            source,
+            edits: previous ? previous.edits.slice() : new Uint8Array(w * h), // 0 auto, 1 erased, 2 restored
+            tolerance: previous ? previous.tolerance : this.whiteToAlphaTolerance,
+            autoAlpha: null,
+            composed,
+            composedData: composed.getContext('2d').createImageData(w, h),
+            tool: 'erase',
+            brushSize: 16, // on-screen pixels
+            showMask: this.showMaskPreview,
+            painting: false,
+            lastPoint: null,
+            cursor: null
         };
+        this.matteEditor = state;
+
+        const display = document.getElementById('matteEditorCanvas');
+        state.displayScale = Math.min(4, 440 / w, 440 / h);
+        display.width = Math.round(w * state.displayScale);
+        display.height = Math.round(h * state.displayScale);
+
+        document.getElementById('matteTolerance').value = String(state.tolerance);
+        document.getElementById('matteToleranceValue').textContent = String(state.tolerance);
+        document.getElementById('matteBrushSize').value = String(state.brushSize);
+        document.getElementById('matteMaskToggle').checked = state.showMask;
+        document.querySelector('input[name="matteTool"][value="erase"]').checked = true;
+        document.getElementById('matteEditor').style.display = 'flex';
+
+        this.computeMatteAutoAlpha(state);
+        this.composeMatte(state);
+        this.renderMatteEditor();
+    }
 
-        const q = [];
-        const visited = new Uint8Array(w * h);
-        // Seed queue with border pixels
-        for (let x = 0; x < w; x++) {
-            q.push([x, 0]);
-            q.push([x, h - 1]);
+    // Alpha from white keying at the current tolerance. The source is flattened onto white first
+    // so already-transparent areas read as background, and original transparency is kept.
+    computeMatteAutoAlpha(state) {
+        const { width: w, height: h, source } = state;
+        const flat = document.createElement('canvas');
+        flat.width = w;
+        flat.height = h;
+        const flatCtx = flat.getContext('2d');
+        flatCtx.fillStyle = '#ffffff';
+        flatCtx.fillRect(0, 0, w, h);
+        const sourceCanvas = document.createElement('canvas');
+        sourceCanvas.width = w;
+        sourceCanvas.height = h;
+        sourceCanvas.getContext('2d').putImageData(source, 0, 0);
+        flatCtx.drawImage(sourceCanvas, 0, 0);
+
+        const keyed = this.keyWhiteToAlpha(flat, { tolerance: state.tolerance }).getContext('2d').getImageData(0, 0, w, h).data;
+        state.autoAlpha = new Uint8ClampedArray(w * h);
+        for (let i = 0; i < w * h; i++) {
+            state.autoAlpha[i] = keyed[i * 4 + 3] === 0 ? 0 : source.data[i * 4 + 3];
         }
-        for (let y = 0; y < h; y++) {
-            q.push([0, y]);
-            q.push([w - 1, y]);
+    }
+
+    // Combine source colours, keyed alpha and brush edits into state.composed
+    composeMatte(state) {
+        const { source, edits, autoAlpha, composedData } = state;
+        const out = composedData.data;
+        for (let i = 0; i < edits.length; i++) {
+            const p = i * 4;
+            out[p] = source.data[p];
+            out[p + 1] = source.data[p + 1];
+            out[p + 2] = source.data[p + 2];
+            out[p + 3] = edits[i] === 1 ? 0 : edits[i] === 2 ? source.data[p + 3] : autoAlpha[i];
         }
-        while (q.length) {
-            const [x, y] = q.pop();
-            const vi = y * w + x;
-            if (!inBounds(x, y) || visited[vi]) continue;
-            visited[vi] = 1;
-            if (isBackgroundLike(x, y)) {
-                // clear and propagate
-                data[idxAt(x, y) + 3] = 0;
-                q.push([x + 1, y]);
-                q.push([x - 1, y]);
-                q.push([x, y + 1]);
-                q.push([x, y - 1]);
+        state.composed.getContext('2d').putImageData(composedData, 0, 0);
+    }
+
+    renderMatteEditor() {
+        const state = this.matteEditor;
+        if (!state) return;
+        const display = document.getElementById('matteEditorCanvas');
+        const ctx = display.getContext('2d');
+        const tile = 10;
+        if (state.showMask) {
+            // Solid pixels (what the body is built from) white on black; brush edits tinted
+            const { width: w, height: h, edits } = state;
+            const mask = ctx.createImageData(w, h);
+            const alpha = state.composedData.data;
+            for (let i = 0; i < w * h; i++) {
+                const solid = alpha[i * 4 + 3] >= this.alphaThreshold ? 255 : 0;
+                const p = i * 4;
+                mask.data[p] = edits[i] === 1 ? Math.max(solid, 170) : solid;
+                mask.data[p + 1] = edits[i] === 2 ? Math.max(solid, 170) : solid;
+                mask.data[p + 2] = edits[i] ? solid * 0.6 : solid;
+                mask.data[p + 3] = 255;
+            }
+            const maskCanvas = document.createElement('canvas');
+            maskCanvas.width = w;
+            maskCanvas.height = h;
+            maskCanvas.getContext('2d').putImageData(mask, 0, 0);
+            ctx.imageSmoothingEnabled = false;
+            ctx.drawImage(maskCanvas, 0, 0, display.width, display.height);
+        } else {
+            for (let y = 0; y < display.height; y += tile) {
+                for (let x = 0; x < display.width; x += tile) {
+                    ctx.fillStyle = (x / tile + y / tile) % 2 === 0 ? '#ffffff' : '#e6e6e6';
+                    ctx.fillRect(x, y, tile, tile);
+                }
             }
+            ctx.imageSmoothingEnabled = true;
+            ctx.drawImage(state.composed, 0, 0, display.width, display.height);
         }
 
-        ctx.putImageData(imgData, 0, 0);
-        return canvas;
+        if (state.cursor) {
+            ctx.beginPath();
+            ctx.arc(state.cursor.x, state.cursor.y, state.brushSize / 2, 0, Math.PI * 2);
+            ctx.strokeStyle = state.tool === 'erase' ? 'rgba(255, 60, 60, 0.9)' : 'rgba(40, 180, 90, 0.9)';
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
+        }
     }
-    
+
+    // Stamp the brush along the segment from the last point to (x, y), in display pixels
+    paintMatte(x, y) {
+        const state = this.matteEditor;
+        if (!state) return;
+        const value = state.tool === 'erase' ? 1 : 2;
+        const scale = state.displayScale;
+        const radius = state.brushSize / 2 / scale;
+        const from = state.lastPoint || { x, y };
+        const steps = Math.max(1, Math.ceil(Math.hypot(x - from.x, y - from.y) / Math.max(1, state.brushSize / 4)));
+        for (let s = 1; s <= steps; s++) {
+            const cx = (from.x + (x - from.x) * (s / steps)) / scale;
+            const cy = (from.y + (y - from.y) * (s / steps)) / scale;
+            const minX = Math.max(0, Math.floor(cx - radius));
+            const maxX = Math.min(state.width - 1, Math.ceil(cx + radius));
+            const minY = Math.max(0, Math.floor(cy - radius));
+            const maxY = Math.min(state.height - 1, Math.ceil(cy + radius));
+            for (let py = minY; py <= maxY; py++) {
+                for (let px = minX; px <= maxX; px++) {
+                    if ((px - cx) ** 2 + (py - cy) ** 2 <= radius * radius) state.edits[py * state.width + px] = value;
+                }
+            }
+        }
+        state.lastPoint = { x, y };
+        this.composeMatte(state);
+        this.renderMatteEditor();
+    }
+
+    closeMatteEditor() {
+        this.matteEditor = null;
+        document.getElementById('matteEditor').style.display = 'none';
+    }
+
+    // Swap the object's image for the touched-up one, rebuild its body from the new alpha and
+    // store it as an asset. The object gets its own image name, so built-ins that were edited
+    // are saved with the scene rather than looked up by name.
+    applyMatteEdit() {
+        const state = this.matteEditor;
+        if (!state) return;
+        const { obj } = state;
+        this.closeMatteEditor();
+
+        const image = document.createElement('canvas');
+        image.width = state.width;
+        image.height = state.height;
+        image.getContext('2d').drawImage(state.composed, 0, 0);
+        image.sourceImage = obj.image.sourceImage || obj.image;
+
+        const baseName = obj.text.toLowerCase().replace(/_matte_[a-z0-9]+$/, '');
+        const name = `${baseName}_matte_${Date.now().toString(36)}`;
+        this.imageCache.set(name, image);
+        obj.text = name.toUpperCase();
+        obj.image = image;
+        obj.isCustomImage = true; // a touched-up built-in is saved with its own pixels
+        obj.matteEdit = { edits: state.edits, tolerance: state.tolerance };
+        // The old asset and source URL no longer describe these pixels
+        obj.assetId = null;
+        obj.sourceUrl = null;
+
+        const { x, y } = obj.body.position;
+        const newBody = this.createAndPositionImageBody(image, x, y, obj.width, obj.height, obj.body.angle, this.imageBodyMode(obj));
+        this.replaceObjectBody(obj, newBody);
+        this.uploadImageAsset(obj);
+        document.getElementById('status').textContent = `Touched up ${baseName}`;
+    }
+
     init() {
         this.setupCanvas();
         this.setupPhysics();
@@ -479,8 +1006,8 @@ class MusicalMarbleDrop {
                 return;
             }
 
-            // Try to load scene layout, fallback to default if not found
-            this.loadSceneLayout();
+            // Load the shared scene from ?scene=<id>, else sceneLayout.json, else the default
+            this.loadSceneLayout(this.getSceneIdFromUrl());
         };
 
         placeImages();
@@ -970,61 +1497,73 @@ class MusicalMarbleDrop {
         tempCtx.drawImage(img, 0, 0, W, H);
         const imageData = tempCtx.getImageData(0, 0, W, H);
 
+        // Grid of small cells covering solid areas (collisionGridSize), merged into rectangles
+        const grid = ImagePipeline.buildCollisionGrid(imageData.data, W, H, { alphaThreshold: this.alphaThreshold, gridSize: this.collisionGridSize });
+        return this.createBodyFromGrid(grid, {
+            width,
+            height,
+            isProcessedCanvas: img instanceof HTMLCanvasElement,
+            hasTransparency: this.detectTransparency(imageData)
+        });
+    }
+
+    // The grid createAccurateImageBody builds, computed by the image worker so the page keeps
+    // animating; falls back to the main thread when there is no worker
+    async buildCollisionGridOffThread(img, width, height) {
+        const W = Math.max(1, Math.round(width));
+        const H = Math.max(1, Math.round(height));
+        const options = { alphaThreshold: this.alphaThreshold, gridSize: this.collisionGridSize };
+        if (this.imageWorker) {
+            try {
+                const bitmap = await createImageBitmap(img);
+                const { grid } = await this.runImageJob('grid', { bitmap, width: W, height: H, ...options }, [bitmap]);
+                return grid;
+            } catch (e) {
+                console.warn('Image worker could not build the collision grid, building it here', e);
+            }
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = W;
+        canvas.height = H;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, W, H);
+        return ImagePipeline.buildCollisionGrid(ctx.getImageData(0, 0, W, H).data, W, H, options);
+    }
+
+    // Compound body from an ImagePipeline.buildCollisionGrid result: one part per merged
+    // rectangle, laid out relative to the image centre. Records the grid for the 'G' overlay.
+    createBodyFromGrid(grid, { width, height, isProcessedCanvas = true, hasTransparency = true }) {
+        const { imageW, imageH, gridSize, rects } = grid;
+
         // Decide detection mode: prefer alpha when using our processed canvas
-        const isProcessedCanvas = (img instanceof HTMLCanvasElement);
-        const hasTransparency = this.detectTransparency(imageData);
         let useAlpha = this.useAlphaForCollision && (isProcessedCanvas || hasTransparency);
         if (this.forceCollisionMode === 'alpha') useAlpha = true;
         if (this.forceCollisionMode === 'rgb') useAlpha = false;
 
-        // Create a grid of small rectangles covering solid areas
-        const parts = [];
-        const gridSize = 4; // smaller grid for a tighter outline (higher fidelity)
-        const cellRecords = [];
-
-        for (let gy = 0; gy < imageData.height; gy += gridSize) {
-            for (let gx = 0; gx < imageData.width; gx += gridSize) {
-                let hasSolid = false;
-                let solidCount = 0;
-
-                for (let py = gy; py < Math.min(gy + gridSize, imageData.height); py++) {
-                    for (let px = gx; px < Math.min(gx + gridSize, imageData.width); px++) {
-                        const solid = this.isNonWhitePixel(imageData, px, py, imageData.width);
-                        if (solid) {
-                            solidCount++;
-                            hasSolid = true;
-                        }
-                    }
-                }
-
-                const totalPx = (Math.min(gy + gridSize, imageData.height) - gy) * (Math.min(gx + gridSize, imageData.width) - gx);
-                const ratio = totalPx > 0 ? (solidCount / totalPx) : 0;
-                const include = hasSolid && ratio > 0.70;
-                cellRecords.push({ gx, gy, ratio, include });
-
-                if (include) {
-                    // Create parts relative to origin
-                    const rectX = gx - (imageData.width / 2) + gridSize / 2;
-                    const rectY = gy - (imageData.height / 2) + gridSize / 2;
-                    const rect = Matter.Bodies.rectangle(rectX, rectY, gridSize, gridSize, { isStatic: true });
-                    parts.push(rect);
-                }
-            }
-        }
+        const parts = rects.map(r => Matter.Bodies.rectangle(
+            r.col * gridSize - imageW / 2 + (r.cols * gridSize) / 2,
+            r.row * gridSize - imageH / 2 + (r.rows * gridSize) / 2,
+            r.cols * gridSize,
+            r.rows * gridSize,
+            { isStatic: true }
+        ));
 
         // For debugging, store the grid relative to the last object's center
-        this.lastCollisionGrid = {
-            imageW: imageData.width, imageH: imageData.height,
-            gridSize, useAlpha, cells: cellRecords
-        };
+        this.lastCollisionGrid = { ...grid, useAlpha };
 
-        console.log(`🔧 Created ${parts.length} collision rectangles for the image`);
+        console.log(`🔧 Created ${parts.length} collision rectangles for the image (from ${grid.partsBefore} cells)`);
 
         if (parts.length === 0) {
             console.warn('No solid parts found for image body, creating fallback rectangle.');
             return Matter.Bodies.rectangle(0, 0, width, height, { isStatic: true });
         }
 
+        return this.createCenteredCompoundBody(parts);
+    }
+
+    // Combine parts laid out around the image centre into one body centred on its COM,
+    // recording the renderOffset that keeps the sprite aligned with the shifted parts
+    createCenteredCompoundBody(parts) {
         // To correctly center the compound body, we must calculate the geometric center of all its parts
         // and then translate all parts by the negative of that center.
         let totalX = 0;
@@ -1064,13 +1603,166 @@ class MusicalMarbleDrop {
             Matter.Body.translate(compoundBody, { x: -comShift.x, y: -comShift.y });
         }
 
-        // Store render offset to keep the image aligned with the shifted parts
-        // We already normalized COM to (0,0); only compensate for our -geometricCenter shift applied to parts
-        compoundBody.renderOffset = { x: geometricCenter.x, y: geometricCenter.y };
+        // Store render offset to keep the image aligned with the shifted parts: the image centre
+        // moved by -geometricCenter and then by -comShift (zero for equal grid cells, not for
+        // polygon parts of different areas)
+        compoundBody.renderOffset = { x: geometricCenter.x + comShift.x, y: geometricCenter.y + comShift.y };
 
         return compoundBody;
     }
 
+    // Body made of convex polygons covering the traced, simplified contours of the image's solid
+    // pixels (traceContoursFromCanvas + createBodyFromContours): a few smooth parts instead of
+    // hundreds of grid cells, keeping separate islands and holes. Throws when nothing can be traced.
+    createPolygonImageBody(img, width, height) {
+        const W = Math.max(1, Math.round(width));
+        const H = Math.max(1, Math.round(height));
+        const scaled = document.createElement('canvas');
+        scaled.width = W;
+        scaled.height = H;
+        scaled.getContext('2d').drawImage(img, 0, 0, W, H);
+        return this.createBodyFromContours(this.traceContoursFromCanvas(scaled));
+    }
+
+    // Compound body from a traceContoursFromCanvas result: each island is bridged to its holes,
+    // cut into convex pieces and added as parts laid out around the image centre (like the grid
+    // cells of createAccurateImageBody). An island whose holes can't be bridged keeps its outer
+    // outline only; one that can't be decomposed at all is skipped.
+    createBodyFromContours(contours) {
+        const parts = [];
+        for (const { outer, holes } of contours.polygons) {
+            const pieces = this.decomposeConvex(outer, holes) || (holes.length ? this.decomposeConvex(outer) : null);
+            if (!pieces) {
+                console.warn(`Skipping a traced island of ${outer.length} points that could not be decomposed`);
+                continue;
+            }
+            for (const poly of pieces) {
+                if (Math.abs(Matter.Vertices.area(poly, true)) < 1) continue;
+                const centre = Matter.Vertices.centre(poly);
+                parts.push(Matter.Bodies.fromVertices(centre.x, centre.y, [poly], { isStatic: true }));
+            }
+        }
+        if (!parts.length) throw new Error('Traced contours could not be decomposed');
+
+        const holeCount = contours.polygons.reduce((sum, p) => sum + p.holes.length, 0);
+        console.log(`🔷 Created ${parts.length} convex collision parts from ${contours.polygons.length} islands and ${holeCount} holes`);
+        return this.createCenteredCompoundBody(parts);
+    }
+
+    // Build a body from a serialized /api/collision-shape description
+    createBodyFromCollisionShape(shape) {
+        return this.createBodyFromGrid(this.gridFromCollisionShape(shape), { width: shape?.width || 1, height: shape?.height || 1 });
+    }
+
+    // The server sends uniform cells; merge them the same way as locally built grids
+    gridFromCollisionShape(shape) {
+        const { width: W = 1, height: H = 1, gridSize = this.collisionGridSize } = shape || {};
+        const cells = Array.isArray(shape?.cells) ? shape.cells : [];
+        const solidCells = cells.map(cell => ({
+            col: Math.round((cell.x + W / 2 - gridSize / 2) / gridSize),
+            row: Math.round((cell.y + H / 2 - gridSize / 2) / gridSize)
+        }));
+        const rects = ImagePipeline.mergeGridCells(solidCells);
+        return {
+            imageW: W, imageH: H, gridSize,
+            cells: solidCells.map(c => ({ gx: c.col * gridSize, gy: c.row * gridSize, ratio: 1, include: true })),
+            rects, partsBefore: solidCells.length, partsAfter: rects.length
+        };
+    }
+
+    // Ask the server for a precomputed collision shape. Built-ins go by asset name;
+    // anything else is uploaded already scaled to the body size to keep the payload small.
+    async fetchCollisionShape(name, img, width, height) {
+        const W = Math.max(1, Math.round(width));
+        const H = Math.max(1, Math.round(height));
+        const payload = { alphaThreshold: this.alphaThreshold, gridSize: this.collisionGridSize };
+        if (this.builtinImageNames && this.builtinImageNames.has(name)) {
+            // The server keys the asset itself; with our tolerance it matches the matte we draw
+            payload.asset = name;
+            payload.scale = W / img.width;
+            payload.tolerance = img.matteTolerance ?? this.whiteToAlphaTolerance;
+        } else {
+            const scaled = document.createElement('canvas');
+            scaled.width = W;
+            scaled.height = H;
+            scaled.getContext('2d').drawImage(img, 0, 0, W, H);
+            payload.imageUrl = scaled.toDataURL('image/png');
+            payload.scale = 1;
+        }
+
+        const res = await fetch('/api/collision-shape', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        if (!res.ok) {
+            // Static hosting without the API: stop asking
+            if ([404, 405, 501].includes(res.status)) this.useServerCollisionShapes = false;
+            throw new Error(`Collision shape API ${res.status}`);
+        }
+        return res.json();
+    }
+
+    // Positioned body for an image. Polygons are traced here; grids come from resolveCollisionGrid.
+    async resolveImageBody(name, img, x, y, width, height, rotation, mode = 'grid') {
+        if (mode === 'polygon') return this.createAndPositionImageBody(img, x, y, width, height, rotation, mode);
+        const grid = await this.resolveCollisionGrid(name, img, width, height);
+        const body = this.createBodyFromGrid(grid, { width, height, isProcessedCanvas: img instanceof HTMLCanvasElement });
+        Matter.Body.setPosition(body, { x, y });
+        Matter.Body.setAngle(body, rotation);
+        return body;
+    }
+
+    // Collision grid for an image at body size: from the IndexedDB cache, else precomputed by
+    // the server when enabled, else built in the image worker. Grids of images with a
+    // contentKey (see processImage) are cached for the next visit.
+    async resolveCollisionGrid(name, img, width, height) {
+        const W = Math.max(1, Math.round(width));
+        const H = Math.max(1, Math.round(height));
+        const key = img.contentKey ? `${img.contentKey}|${W}x${H}|${this.alphaThreshold}|${this.collisionGridSize}` : null;
+        if (key) {
+            const cached = await this.readProcessedCache('shapes', key);
+            if (cached) return cached;
+        }
+
+        let grid = null;
+        if (this.useServerCollisionShapes) {
+            try {
+                grid = this.gridFromCollisionShape(await this.fetchCollisionShape(name, img, width, height));
+            } catch (e) {
+                console.warn(`Collision shape service unavailable for ${name}, building locally`, e);
+            }
+        }
+        // Local grids are built in the image worker so adding an object doesn't stall the page
+        if (!grid) grid = await this.buildCollisionGridOffThread(img, W, H);
+        if (key) {
+            // Bodies only need the merged rectangles; the per-cell list is just for the 'G' overlay
+            const { imageW, imageH, gridSize, rects, partsBefore, partsAfter } = grid;
+            this.writeProcessedCache('shapes', key, { imageW, imageH, gridSize, rects, partsBefore, partsAfter });
+        }
+        return grid;
+    }
+
+    // Swap an object's physics body in place, keeping its pose and material settings
+    replaceObjectBody(obj, newBody) {
+        const oldBody = obj.body;
+        if (oldBody) {
+            Matter.Body.setPosition(newBody, { x: oldBody.position.x, y: oldBody.position.y });
+            Matter.Body.setAngle(newBody, oldBody.angle);
+            Matter.Body.setStatic(newBody, oldBody.isStatic);
+            newBody.restitution = oldBody.restitution;
+            newBody.friction = oldBody.friction;
+            newBody.frictionStatic = oldBody.frictionStatic;
+            Matter.World.remove(this.world, oldBody);
+        }
+        obj.body = newBody;
+        newBody.gameObject = obj;
+        // The object may have been deleted while its shape was being computed
+        if (this.gameObjects.includes(obj)) {
+            Matter.World.add(this.world, newBody);
+        }
+    }
+
     detectTransparency(imageData) {
         const data = imageData.data;
         for (let i = 3; i < data.length; i += 4) {
@@ -1287,6 +1979,139 @@ class MusicalMarbleDrop {
         return simplified;
     }
 
+    // Every island of solid pixels with its interior holes, as simplified polygons in pixel-centre
+    // coordinates relative to the canvas centre:
+    //   { width, height, polygons: [{ outer: [{x,y}], holes: [[{x,y}]], area }] }
+    // Islands are 8-connected, holes are 4-connected background regions that don't reach the
+    // edge; both are dropped (holes filled) below contourSpeckArea pixels. area is the island's
+    // pixel count. Islands come largest first.
+    traceContoursFromCanvas(canvas, { minArea = this.contourSpeckArea, tolerance = 2.0 } = {}) {
+        const { width, height } = canvas;
+        const imageData = canvas.getContext('2d').getImageData(0, 0, width, height);
+        const n = width * height;
+        // labels: 0 unvisited, >0 island id, <0 background region id
+        const labels = new Int32Array(n);
+        const solid = new Uint8Array(n);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (this.isNonWhitePixel(imageData, x, y, width, height)) solid[y * width + x] = 1;
+            }
+        }
+
+        // Flood fill from a seed; returns the region's pixel count, first pixel in scan order
+        // and whether it touches the canvas edge
+        const fill = (seed, id, isSolid) => {
+            const stack = [seed];
+            labels[seed] = id;
+            let count = 0, first = seed, touchesEdge = false;
+            while (stack.length) {
+                const i = stack.pop();
+                count++;
+                if (i < first) first = i;
+                const x = i % width;
+                const y = (i - x) / width;
+                if (x === 0 || y === 0 || x === width - 1 || y === height - 1) touchesEdge = true;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        if (!dx && !dy) continue;
+                        if (!isSolid && dx && dy) continue; // background is 4-connected
+                        const nx = x + dx, ny = y + dy;
+                        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                        const j = ny * width + nx;
+                        if (labels[j] === 0 && solid[j] === (isSolid ? 1 : 0)) {
+                            labels[j] = id;
+                            stack.push(j);
+                        }
+                    }
+                }
+            }
+            return { id, count, first, touchesEdge };
+        };
+
+        const islands = new Map();
+        const gaps = [];
+        let nextIsland = 1, nextGap = -1;
+        for (let i = 0; i < n; i++) {
+            if (labels[i] !== 0) continue;
+            if (solid[i]) {
+                const island = fill(i, nextIsland++, true);
+                islands.set(island.id, { ...island, holes: [] });
+            } else {
+                gaps.push(fill(i, nextGap--, false));
+            }
+        }
+
+        // The pixel above a hole's first pixel belongs to the island around it
+        for (const gap of gaps) {
+            if (gap.touchesEdge || gap.count < minArea || gap.first < width) continue;
+            const owner = islands.get(labels[gap.first - width]);
+            if (owner) owner.holes.push(gap);
+        }
+
+        const toPolygon = (region) => {
+            const contour = this.traceRegionBoundary(labels, width, height, region.id, region.first);
+            if (contour.length < 3) return null;
+            const points = contour.map(p => ({ x: p.x + 0.5 - width / 2, y: p.y + 0.5 - height / 2 }));
+            const simplified = this.douglasPeucker(points, tolerance);
+            return simplified.length >= 3 ? simplified : null;
+        };
+
+        const polygons = [];
+        for (const island of islands.values()) {
+            if (island.count < minArea) continue;
+            const outer = toPolygon(island);
+            if (!outer) continue;
+            const holes = island.holes.map(toPolygon).filter(Boolean);
+            polygons.push({ outer, holes, area: island.count });
+        }
+        polygons.sort((a, b) => b.area - a.area);
+        return { width, height, polygons };
+    }
+
+    // Moore-neighbourhood trace of the region with the given label, from its first pixel in scan
+    // order (so the pixel to its left is outside). Stops when the first step is about to repeat,
+    // which also covers regions that pass through their start pixel twice.
+    traceRegionBoundary(labels, width, height, id, start) {
+        const moves = [
+            { dx: 0, dy: -1 }, { dx: 1, dy: -1 }, { dx: 1, dy: 0 }, { dx: 1, dy: 1 },
+            { dx: 0, dy: 1 }, { dx: -1, dy: 1 }, { dx: -1, dy: 0 }, { dx: -1, dy: -1 }
+        ];
+        const dirOf = (dx, dy) => moves.findIndex(m => m.dx === dx && m.dy === dy);
+        const inside = (x, y) => x >= 0 && y >= 0 && x < width && y < height && labels[y * width + x] === id;
+        const startX = start % width;
+        const startY = (start - startX) / width;
+        const contour = [];
+        let x = startX, y = startY;
+        let back = 6; // direction of the last outside pixel seen, relative to the current one
+        let firstStep = null;
+        // Every boundary pixel is visited at most a few times; the cap guards odd configurations
+        const maxSteps = 4 * width * height + 8;
+
+        for (let step = 0; step < maxSteps; step++) {
+            let d = -1;
+            for (let i = 1; i <= 8; i++) {
+                const candidate = (back + i) % 8;
+                if (inside(x + moves[candidate].dx, y + moves[candidate].dy)) {
+                    d = candidate;
+                    break;
+                }
+            }
+            if (x === startX && y === startY) {
+                if (step > 0 && d === firstStep) break;
+                if (step === 0) firstStep = d;
+            }
+            contour.push({ x, y });
+            if (d === -1) break; // single pixel
+
+            // The outside pixel checked just before d becomes the backtrack of the next pixel
+            const outside = moves[(d + 7) % 8];
+            x += moves[d].dx;
+            y += moves[d].dy;
+            back = dirOf(x - moves[d].dx + outside.dx - x, y - moves[d].dy + outside.dy - y);
+        }
+        return contour;
+    }
+
     createRibbonCable() {
         if (this.imageCache.has('ribbon_cable')) {
             const img = this.imageCache.get('ribbon_cable');
@@ -1315,9 +2140,19 @@ class MusicalMarbleDrop {
         }
     }
 
-    createAndPositionImageBody(img, x, y, width, height, rotation) {
+    // mode: 'grid' (createAccurateImageBody) or 'polygon' (createPolygonImageBody, falling back to
+    // the grid when the outline can't be decomposed)
+    createAndPositionImageBody(img, x, y, width, height, rotation, mode = 'grid') {
         // 1. Create the body. It's now properly centered around its geometric origin.
-        const body = this.createAccurateImageBody(img, width, height);
+        let body = null;
+        if (mode === 'polygon') {
+            try {
+                body = this.createPolygonImageBody(img, width, height);
+            } catch (e) {
+                console.warn('Polygon body failed, using the grid body instead', e);
+            }
+        }
+        if (!body) body = this.createAccurateImageBody(img, width, height);
 
         // 2. Simply set the position and angle.
         Matter.Body.setPosition(body, { x, y });
@@ -1326,29 +2161,195 @@ class MusicalMarbleDrop {
         return body;
     }
 
+    // Rebuild the body of every movable image object in its current collision mode
     rebuildAllImageCollisions() {
         this.gameObjects.forEach(obj => {
-            if (obj.isImage && obj.kind === 'banana') {
-                const { x, y, width, height, imageScale } = obj;
-                const newBody = this.createAndPositionImageBody(obj.image, x, y, width, height, 0);
-                Matter.World.remove(this.world, obj.body);
-                obj.body = newBody;
-                newBody.gameObject = obj;
-                Matter.World.add(this.world, newBody);
-            }
-            if (obj.isImage && obj.kind === 'ribbon_cable') {
-                const { x, y, width, height, imageScale, rotation } = obj;
-                const newBody = this.createAndPositionImageBody(obj.image, x, y, width, height, rotation);
-                Matter.World.remove(this.world, obj.body);
-                obj.body = newBody;
-                newBody.gameObject = obj;
-                Matter.World.add(this.world, newBody);
+            if (obj.isImage && obj.isDraggable && !obj.isGhost && !obj.isCup && !obj.isWastebasket) {
+                this.rebuildImageCollision(obj);
             }
         });
         console.log('✅ All image collision bodies rebuilt.');
     }
-    
-    douglasPeucker(points, tolerance) {
+
+    rebuildImageCollision(obj) {
+        const { x, y } = obj.body.position;
+        const newBody = this.createAndPositionImageBody(obj.image, x, y, obj.width, obj.height, obj.body.angle, this.imageBodyMode(obj));
+        this.replaceObjectBody(obj, newBody);
+    }
+
+    // 'polygon' or 'grid' for an image object: its own collisionMode, else the global toggle
+    imageBodyMode(obj) {
+        if (obj && obj.collisionMode) return obj.collisionMode;
+        return this.polygonBodies ? 'polygon' : 'grid';
+    }
+    
+    // Drop repeated and collinear points and orient the polygon so its signed area is positive
+    cleanPolygon(points) {
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        let poly = points.filter((p, i) => {
+            const prev = points[(i - 1 + points.length) % points.length];
+            return Math.abs(p.x - prev.x) > 1e-6 || Math.abs(p.y - prev.y) > 1e-6;
+        });
+        let changed = true;
+        while (changed && poly.length > 3) {
+            changed = false;
+            for (let i = 0; i < poly.length; i++) {
+                const prev = poly[(i - 1 + poly.length) % poly.length];
+                const next = poly[(i + 1) % poly.length];
+                if (Math.abs(cross(prev, poly[i], next)) < 1e-6) {
+                    poly.splice(i, 1);
+                    changed = true;
+                    break;
+                }
+            }
+        }
+        const area = poly.reduce((sum, p, i) => {
+            const q = poly[(i + 1) % poly.length];
+            return sum + (p.x * q.y - q.x * p.y);
+        }, 0);
+        if (area < 0) poly = poly.slice().reverse();
+        return poly;
+    }
+
+    // Ear-clipping triangulation of a simple (or hole-bridged) polygon with positive signed area. Returns
+    // triangles as index triples into points, or null when no ear can be found (the traced
+    // outline touches itself).
+    triangulatePolygon(points) {
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        const inTriangle = (p, a, b, c) => cross(a, b, p) >= 0 && cross(b, c, p) >= 0 && cross(c, a, p) >= 0;
+        const remaining = points.map((_, i) => i);
+        const triangles = [];
+
+        while (remaining.length > 3) {
+            let clipped = false;
+            for (let i = 0; i < remaining.length; i++) {
+                const ia = remaining[(i - 1 + remaining.length) % remaining.length];
+                const ib = remaining[i];
+                const ic = remaining[(i + 1) % remaining.length];
+                const a = points[ia], b = points[ib], c = points[ic];
+                if (cross(a, b, c) <= 0) continue; // reflex corner
+                // Bridged holes repeat vertices; copies of a corner don't block its ear
+                const blocked = remaining.some(j => {
+                    const p = points[j];
+                    if (j === ia || j === ib || j === ic) return false;
+                    if ((p.x === a.x && p.y === a.y) || (p.x === b.x && p.y === b.y) || (p.x === c.x && p.y === c.y)) return false;
+                    return inTriangle(p, a, b, c);
+                });
+                if (blocked) continue;
+                triangles.push([ia, ib, ic]);
+                remaining.splice(i, 1);
+                clipped = true;
+                break;
+            }
+            if (!clipped) return null;
+        }
+        triangles.push(remaining.slice());
+        return triangles;
+    }
+
+    // Hertel-Mehlhorn: merge triangles across shared diagonals while the result stays convex.
+    // At most four times the optimal number of convex pieces, and far fewer than triangles.
+    mergeConvexPolygons(points, triangles) {
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        const isConvex = (poly) => poly.every((index, i) => {
+            const prev = points[poly[(i - 1 + poly.length) % poly.length]];
+            const next = points[poly[(i + 1) % poly.length]];
+            return cross(prev, points[index], next) >= -1e-9;
+        });
+        const polygons = triangles.map(t => t.slice());
+
+        let merged = true;
+        while (merged) {
+            merged = false;
+            for (let p = 0; p < polygons.length && !merged; p++) {
+                const P = polygons[p];
+                for (let i = 0; i < P.length && !merged; i++) {
+                    const a = P[i];
+                    const b = P[(i + 1) % P.length];
+                    // A neighbour shares the edge in the opposite direction (b -> a)
+                    for (let q = 0; q < polygons.length; q++) {
+                        if (q === p) continue;
+                        const Q = polygons[q];
+                        const j = Q.findIndex((v, k) => v === b && Q[(k + 1) % Q.length] === a);
+                        if (j === -1) continue;
+                        // Walk P from b round to a, then Q from after a round to before b
+                        const candidate = [];
+                        for (let k = 0; k < P.length; k++) candidate.push(P[(i + 1 + k) % P.length]);
+                        for (let k = 2; k < Q.length; k++) candidate.push(Q[(j + k) % Q.length]);
+                        if (isConvex(candidate)) {
+                            polygons[p] = candidate;
+                            polygons.splice(q, 1);
+                            merged = true;
+                        }
+                        break;
+                    }
+                }
+            }
+        }
+        return polygons.map(poly => poly.map(index => points[index]));
+    }
+
+    // Convex pieces covering a traced outline minus its holes, or null when it can't be
+    // triangulated
+    decomposeConvex(points, holes = []) {
+        let poly = this.cleanPolygon(points);
+        if (poly.length < 3) return null;
+        const cleanHoles = holes.map(h => this.cleanPolygon(h)).filter(h => h.length >= 3);
+        if (cleanHoles.length) {
+            poly = this.bridgeHoles(poly, cleanHoles);
+            if (!poly) return null;
+        }
+        const triangles = this.triangulatePolygon(poly);
+        if (!triangles) return null;
+        return this.mergeConvexPolygons(poly, triangles);
+    }
+
+    // Splice holes into an outer polygon (both with positive signed area) through zero-width
+    // bridges, giving one polygon ear clipping can handle: from each hole's rightmost vertex to
+    // the nearest outer vertex the bridge can reach without crossing an edge. Holes go in
+    // right to left, reversed so they wind against the outline. Null when a hole can't be reached.
+    bridgeHoles(outer, holes) {
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        const same = (a, b) => a.x === b.x && a.y === b.y;
+        const crosses = (p1, p2, q1, q2) => {
+            if (same(p1, q1) || same(p1, q2) || same(p2, q1) || same(p2, q2)) return false;
+            const d1 = cross(q1, q2, p1);
+            const d2 = cross(q1, q2, p2);
+            const d3 = cross(p1, p2, q1);
+            const d4 = cross(p1, p2, q2);
+            return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0)) && d1 !== 0 && d2 !== 0 && d3 !== 0 && d4 !== 0;
+        };
+        const edges = (poly) => poly.map((p, i) => [p, poly[(i + 1) % poly.length]]);
+
+        const pending = holes
+            .map(h => h.slice().reverse())
+            .sort((a, b) => Math.max(...b.map(p => p.x)) - Math.max(...a.map(p => p.x)));
+        let poly = outer.slice();
+        const bridged = new Set(); // bridge end points are duplicated; never bridge to them again
+
+        while (pending.length) {
+            const hole = pending.shift();
+            const mi = hole.reduce((best, p, i) => (p.x > hole[best].x ? i : best), 0);
+            const M = hole[mi];
+            const blockers = [...edges(poly), ...pending.flatMap(edges), ...edges(hole)];
+            const candidates = poly
+                .map((p, i) => ({ i, d: (p.x - M.x) ** 2 + (p.y - M.y) ** 2 }))
+                .filter(c => !bridged.has(poly[c.i]))
+                .sort((a, b) => a.d - b.d);
+            const target = candidates.find(c => !blockers.some(([a, b]) => crosses(M, poly[c.i], a, b)));
+            if (!target) return null;
+
+            const P = poly[target.i];
+            const loop = hole.slice(mi).concat(hole.slice(0, mi));
+            const M2 = { x: M.x, y: M.y };
+            const P2 = { x: P.x, y: P.y };
+            bridged.add(P).add(P2).add(M).add(M2);
+            poly = [...poly.slice(0, target.i + 1), ...loop, M2, P2, ...poly.slice(target.i + 1)];
+        }
+        return poly;
+    }
+
+    douglasPeucker(points, tolerance) {
         if (points.length <= 2) return points;
         
         // Find the point with maximum distance from line between first and last
@@ -1410,40 +2411,9 @@ class MusicalMarbleDrop {
     
 
     // Inspect the image data to determine if transparency is present
-    // We only need a quick signal; sample edges and a coarse grid.
+    // We only need a quick signal; sample edges and a coarse grid (see imagePipeline.js).
     detectTransparency(imageData) {
-        const { width, height, data } = imageData;
-        const step = Math.max(1, Math.floor(Math.min(width, height) / 50));
-        let transparentSamples = 0;
-        let totalSamples = 0;
-
-        // Sample borders (likely background)
-        for (let x = 0; x < width; x += step) {
-            const topA = data[(0 * width + x) * 4 + 3];
-            const botA = data[((height - 1) * width + x) * 4 + 3];
-            if (topA < 250) transparentSamples++;
-            if (botA < 250) transparentSamples++;
-            totalSamples += 2;
-        }
-        for (let y = 0; y < height; y += step) {
-            const leftA = data[(y * width + 0) * 4 + 3];
-            const rightA = data[(y * width + (width - 1)) * 4 + 3];
-            if (leftA < 250) transparentSamples++;
-            if (rightA < 250) transparentSamples++;
-            totalSamples += 2;
-        }
-
-        // Coarse interior grid sampling
-        for (let y = step; y < height; y += step * 5) {
-            for (let x = step; x < width; x += step * 5) {
-                const a = data[(y * width + x) * 4 + 3];
-                if (a < 250) transparentSamples++;
-                totalSamples++;
-            }
-        }
-
-        // If any noticeable portion is below near-opaque, we consider it having transparency
-        return transparentSamples > Math.max(5, totalSamples * 0.02);
+        return ImagePipeline.detectTransparency(imageData.data, imageData.width, imageData.height);
     }
     
     createBoundingBoxVertices(width, height, centerX, centerY) {
@@ -1618,6 +2588,12 @@ class MusicalMarbleDrop {
         this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
         this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
         this.canvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
+        // Double-click an image object to touch up its cut-out
+        this.canvas.addEventListener('dblclick', (e) => {
+            const { x, y } = this.getGameCoordinates(e);
+            const obj = this.gameObjects.find(o => o.isImage && o.isDraggable && !o.isGhost && this.isPointInObject(x, y, o));
+            if (obj) this.openMatteEditor(obj);
+        });
         
         // Canvas click handler for completion overlay
         this.canvas.addEventListener('click', (e) => {
@@ -1644,26 +2620,192 @@ class MusicalMarbleDrop {
             this.handleMouseMove(e.touches[0]);
         });
         
-        // Generate button
-        document.getElementById('generateBtn').addEventListener('click', () => {
-            this.generateObject();
+        // Generate button (Shift+click skips the server's prompt cache)
+        document.getElementById('generateBtn').addEventListener('click', (e) => {
+            this.generateObject({ forceRegenerate: e.shiftKey });
+        });
+        
+        // Drop image files from the desktop onto the canvas; they land where they were dropped
+        this.canvas.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        this.canvas.addEventListener('drop', (e) => {
+            const files = Array.from(e.dataTransfer?.files || []);
+            if (!files.length) return;
+            e.preventDefault();
+            const { x, y } = this.getGameCoordinates(e);
+            // Fan out multiple files a little so they don't stack exactly
+            files.forEach((file, i) => this.addImageFile(file, x + i * 30, y + i * 30));
+        });
+        // A drop that misses the canvas shouldn't navigate away from the game
+        window.addEventListener('dragover', (e) => e.preventDefault());
+        window.addEventListener('drop', (e) => e.preventDefault());
+        
+        // Upload button opens the file picker; picked images are placed like generated ones
+        const fileInput = document.getElementById('imageFileInput');
+        document.getElementById('uploadBtn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const files = Array.from(fileInput.files || []);
+            const size = this.objectSizePolicy.upload || this.objectSizePolicy.generated;
+            files.forEach((file) => {
+                const { x, y } = this.findPlacement(size, size, { near: this.getPlacementHint() });
+                this.addImageFile(file, x, y);
+            });
+            fileInput.value = ''; // allow picking the same file again
+        });
+        
+        // Share button: snapshot the scene and copy a /?scene=<id> link. It starts hidden and
+        // appears once the scenes API answers (see probeSceneApi)
+        document.getElementById('shareBtn').addEventListener('click', () => {
+            this.shareScene();
+        });
+        this.probeSceneApi();
+        
+        // Variations button: toggle asking for several candidates per prompt
+        const variationsBtn = document.getElementById('variationsBtn');
+        variationsBtn.addEventListener('click', () => {
+            this.pickFromVariations = !this.pickFromVariations;
+            variationsBtn.classList.toggle('active', this.pickFromVariations);
+            variationsBtn.setAttribute('aria-pressed', String(this.pickFromVariations));
+            this.showCanvasMessage(this.pickFromVariations
+                ? `You'll get ${this.variationCount} versions of each new object to pick from`
+                : 'New objects are placed straight away', 2500);
         });
         
-        // Enter key submission for input field
-        document.getElementById('objectInput').addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
+        // Enter key submission for input field (Shift+Enter forces a fresh image, Escape cancels).
+        // While built-in suggestions are listed, arrows move through them, Enter picks the
+        // highlighted one and Escape closes the list first.
+        const objectInput = document.getElementById('objectInput');
+        objectInput.addEventListener('input', () => this.updateCatalogSuggestions());
+        objectInput.addEventListener('blur', () => this.hideCatalogSuggestions());
+        objectInput.addEventListener('keydown', (e) => {
+            const suggesting = this.catalogSuggestions.length > 0;
+            if (suggesting && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+                e.preventDefault();
+                this.moveCatalogSuggestion(e.key === 'ArrowDown' ? 1 : -1);
+            } else if (e.key === 'Enter') {
                 e.preventDefault();
-                this.generateObject();
+                if (suggesting && this.catalogSuggestionIndex >= 0) {
+                    this.pickCatalogSuggestion(this.catalogSuggestionIndex);
+                } else {
+                    this.generateObject({ forceRegenerate: e.shiftKey });
+                }
+            } else if (e.key === 'Escape') {
+                if (suggesting) {
+                    this.hideCatalogSuggestions();
+                } else {
+                    this.cancelAllGenerations();
+                }
             }
         });
         
+        // Cancel button on the generation progress line drops the whole queue
+        document.getElementById('cancelGenerationBtn').addEventListener('click', () => {
+            this.cancelAllGenerations();
+        });
+        
+        // Matte editor controls (see openMatteEditor)
+        const matteCanvas = document.getElementById('matteEditorCanvas');
+        const mattePoint = (e) => {
+            const rect = matteCanvas.getBoundingClientRect();
+            return {
+                x: (e.clientX - rect.left) * (matteCanvas.width / rect.width),
+                y: (e.clientY - rect.top) * (matteCanvas.height / rect.height)
+            };
+        };
+        matteCanvas.addEventListener('pointerdown', (e) => {
+            if (!this.matteEditor) return;
+            matteCanvas.setPointerCapture(e.pointerId);
+            const { x, y } = mattePoint(e);
+            this.matteEditor.painting = true;
+            this.matteEditor.lastPoint = null;
+            this.matteEditor.cursor = { x, y };
+            this.paintMatte(x, y);
+        });
+        matteCanvas.addEventListener('pointermove', (e) => {
+            if (!this.matteEditor) return;
+            const { x, y } = mattePoint(e);
+            this.matteEditor.cursor = { x, y };
+            if (this.matteEditor.painting) this.paintMatte(x, y);
+            else this.renderMatteEditor();
+        });
+        const stopPainting = () => {
+            if (!this.matteEditor) return;
+            this.matteEditor.painting = false;
+            this.matteEditor.lastPoint = null;
+        };
+        matteCanvas.addEventListener('pointerup', stopPainting);
+        matteCanvas.addEventListener('pointercancel', stopPainting);
+        matteCanvas.addEventListener('pointerleave', () => {
+            if (!this.matteEditor || this.matteEditor.painting) return;
+            this.matteEditor.cursor = null;
+            this.renderMatteEditor();
+        });
+        document.querySelectorAll('input[name="matteTool"]').forEach((radio) => {
+            radio.addEventListener('change', () => {
+                if (this.matteEditor && radio.checked) this.matteEditor.tool = radio.value;
+            });
+        });
+        document.getElementById('matteBrushSize').addEventListener('input', (e) => {
+            if (this.matteEditor) this.matteEditor.brushSize = Number(e.target.value);
+        });
+        document.getElementById('matteTolerance').addEventListener('input', (e) => {
+            const state = this.matteEditor;
+            if (!state) return;
+            state.tolerance = Number(e.target.value);
+            document.getElementById('matteToleranceValue').textContent = e.target.value;
+            this.computeMatteAutoAlpha(state);
+            this.composeMatte(state);
+            this.renderMatteEditor();
+        });
+        document.getElementById('matteMaskToggle').addEventListener('change', (e) => {
+            if (!this.matteEditor) return;
+            this.matteEditor.showMask = e.target.checked;
+            this.renderMatteEditor();
+        });
+        document.getElementById('matteApplyBtn').addEventListener('click', () => this.applyMatteEdit());
+        document.getElementById('matteCancelBtn').addEventListener('click', () => this.closeMatteEditor());
+        
         // Admin save scene layout (Ctrl+Shift+S)
         window.addEventListener('keydown', (e) => {
+            // The matte editor is modal: Escape cancels, Enter applies, nothing else reaches the game
+            if (this.matteEditor) {
+                if (e.key === 'Escape') this.closeMatteEditor();
+                else if (e.key === 'Enter') this.applyMatteEdit();
+                return;
+            }
+
             if (e.key === 'S' && e.ctrlKey && e.shiftKey) {
                 e.preventDefault();
                 this.saveSceneLayout();
                 return;
             }
+
+            if (e.key === 'K' && e.ctrlKey && e.shiftKey) {
+                // Forget cached mattes and collision grids; the next load rebuilds them
+                e.preventDefault();
+                this.clearProcessedCache().then(cleared => {
+                    console.log(cleared ? '🧹 Processed image cache cleared' : 'Processed image cache unavailable');
+                    this.showCanvasMessage(cleared ? 'Image cache cleared; reload to rebuild' : 'Image cache unavailable', 2500);
+                });
+                return;
+            }
+
+            // Number keys choose from the open variation picker, even from the object input:
+            // it still has focus after the prompt was submitted
+            if (this.activeVariationPicker && !e.ctrlKey && !e.metaKey && !e.altKey && /^[1-9]$/.test(e.key)) {
+                const index = Number(e.key) - 1;
+                if (index < this.activeVariationPicker.count) {
+                    e.preventDefault();
+                    this.activeVariationPicker.choose(index);
+                }
+                return;
+            }
+
+            // Letters typed into the object input are text, not shortcuts
+            if (e.target && e.target.tagName === 'INPUT' && !(e.ctrlKey && e.shiftKey)) return;
             
             if ((e.key === 'v' || e.key === 'V') && e.ctrlKey && e.shiftKey) {
                 this.showCollisionOverlay = !this.showCollisionOverlay;
@@ -1683,11 +2825,30 @@ class MusicalMarbleDrop {
             } else if (e.key === 'o' || e.key === 'O') {
                 this.forceCollisionMode = 'auto';
                 console.log('🔧 Force collision mode: auto');
+            } else if ((e.key === 'p' || e.key === 'P') && e.shiftKey) {
+                // Shift+P: switch the image under the pointer between grid and polygon bodies
+                const obj = this.gameObjects.find(o => o.isImage && o.isDraggable && !o.isGhost && this.isPointInObject(this.mouseX, this.mouseY, o));
+                if (obj) {
+                    obj.collisionMode = this.imageBodyMode(obj) === 'polygon' ? 'grid' : 'polygon';
+                    this.rebuildImageCollision(obj);
+                    this.showCanvasMessage(`${obj.text}: ${obj.collisionMode} collision body`, 2000);
+                }
+            } else if (e.key === 'p' || e.key === 'P') {
+                // P: polygon bodies for every image that hasn't picked its own mode
+                this.polygonBodies = !this.polygonBodies;
+                console.log(`🔧 Polygon collision bodies: ${this.polygonBodies ? 'on' : 'off'}`);
+                this.rebuildAllImageCollisions();
+                this.showCanvasMessage(this.polygonBodies ? 'Polygon collision bodies ON' : 'Polygon collision bodies OFF', 2000);
             } else if (e.key === 'r' || e.key === 'R') {
                 console.log('🔄 Rebuilding all image collision bodies...');
                 this.rebuildAllImageCollisions();
             } else if (e.key === 'g' || e.key === 'G') {
                 this.showCellDebug = !this.showCellDebug;
+            } else if (e.key === 'l' || e.key === 'L') {
+                this.placementMode = this.placementMode === 'click' ? 'path' : 'click';
+                this.showCanvasMessage(this.placementMode === 'click'
+                    ? 'New objects appear where you last clicked'
+                    : "New objects appear along the marble's path", 2500);
             } else if (e.key === '1' && e.ctrlKey && e.shiftKey) {
                 // Toggle recording mode
                 this.recordingMode = !this.recordingMode;
@@ -1753,6 +2914,11 @@ class MusicalMarbleDrop {
             return;
         }
 
+        if (this.getGhostButtonAt(mouseX, mouseY)) {
+            this.canvas.style.cursor = 'pointer';
+            return;
+        }
+
         for (const obj of this.gameObjects) {
             if (obj.isDraggable && this.isPointInObject(mouseX, mouseY, obj)) {
                 const centerX = obj.body.position.x;
@@ -1779,6 +2945,14 @@ class MusicalMarbleDrop {
         const mouseX = coords.x;
         const mouseY = coords.y;
 
+        // Cancel/retry buttons on generation placeholders take precedence over dragging
+        const ghostButton = this.getGhostButtonAt(mouseX, mouseY);
+        if (ghostButton) {
+            if (ghostButton.action === 'retry') this.retryGenerationItem(ghostButton.item);
+            else this.cancelGenerationItem(ghostButton.item);
+            return;
+        }
+
         for (const obj of this.gameObjects) {
             if (obj.isDraggable && this.isPointInObject(mouseX, mouseY, obj)) {
                 const centerX = obj.body.position.x;
@@ -1806,6 +2980,9 @@ class MusicalMarbleDrop {
                 break; // Found a draggable object, no need to check others
             }
         }
+        if (!this.dragTarget) {
+            this.lastClickPosition = { x: mouseX, y: mouseY };
+        }
         this.updateCursor(e);
     }
     
@@ -1853,7 +3030,10 @@ class MusicalMarbleDrop {
         // Reset rotation tracking variables
         if (this.dragTarget) {
             // Check if dropped over wastebasket
-            if (this.isDragging && this.isOverWastebasket(this.dragTarget.body.position.x, this.dragTarget.body.position.y)) {
+            if (this.isDragging && this.dragTarget.isGhost && this.isOverWastebasket(this.dragTarget.body.position.x, this.dragTarget.body.position.y)) {
+                // Binning a placeholder just cancels its generation, no confirmation needed
+                this.cancelGenerationItem(this.dragTarget.queueItem);
+            } else if (this.isDragging && this.isOverWastebasket(this.dragTarget.body.position.x, this.dragTarget.body.position.y)) {
                 this.showDeleteConfirmation(this.dragTarget);
             } else {
                 // Re-add the spring constraint if it was a dragged text object
@@ -1947,98 +3127,369 @@ class MusicalMarbleDrop {
         return false;
     }
     
-    saveSceneLayout() {
-        const layout = {
+    // Snapshot of the current layout in the sceneLayout.json format. Images that aren't
+    // built in are referenced by stored asset id (see persistSceneImages) or source URL;
+    // options: { embedImages } embeds any image that has neither as a PNG data URL
+    serializeSceneLayout(options = {}) {
+        const { embedImages = false } = options;
+        return {
             objects: this.gameObjects
-                .filter(obj => obj.text !== 'marble') // Don't save marbles
-                .map(obj => ({
-                    name: obj.text,
-                    x: obj.body.position.x,
-                    y: obj.body.position.y,
-                    rotation: obj.body.angle,
-                    scale: obj.imageScale || 1.0,
-                    isStatic: obj.body.isStatic,
-                    specialProperties: {
-                        isBoing: obj.isBoing || false,
-                        isWastebasket: obj.isWastebasket || false,
-                        isCup: obj.isCup || false
+                .filter(obj => obj.text !== 'marble' && !obj.isGhost) // Don't save marbles or pending generations
+                .map(obj => {
+                    const entry = {
+                        name: obj.text,
+                        x: obj.body.position.x,
+                        y: obj.body.position.y,
+                        rotation: obj.body.angle,
+                        scale: obj.imageScale || 1.0,
+                        isStatic: obj.body.isStatic,
+                        specialProperties: {
+                            isBoing: obj.isBoing || false,
+                            isWastebasket: obj.isWastebasket || false,
+                            isCup: obj.isCup || false
+                        }
+                    };
+                    if (this.isCustomImageObject(obj)) {
+                        if (obj.assetId) {
+                            entry.asset = obj.assetId;
+                        } else if (obj.sourceUrl) {
+                            entry.sourceUrl = obj.sourceUrl;
+                        } else if (embedImages) {
+                            entry.imageData = obj.image.toDataURL('image/png');
+                        }
+                    }
+                    if (obj.material) {
+                        entry.material = obj.material;
+                    }
+                    if (obj.collisionMode) {
+                        entry.collisionMode = obj.collisionMode;
                     }
-                })),
+                    if (obj.isText && obj.isDraggable) {
+                        entry.textStyle = { color: obj.color, fontSize: obj.fontSize, width: obj.width, height: obj.height };
+                    }
+                    return entry;
+                }),
             canvasSize: {
                 width: this.gameWidth,
                 height: this.gameHeight
             },
             timestamp: new Date().toISOString()
         };
+    }
+
+    // Image objects that can't be rebuilt from the built-in set by name alone
+    isCustomImageObject(obj) {
+        return !!(obj.isImage && obj.image && obj.isCustomImage);
+    }
+
+    // Upload the processed pixels of generated images to /api/assets so layouts can reference
+    // them by id. URL-loaded images are uploaded too when their pixels are readable, which keeps
+    // a scene intact if the original URL disappears. Failures leave the object for embedding.
+    async persistSceneImages() {
+        const pending = this.gameObjects
+            .filter(obj => this.isCustomImageObject(obj) && !obj.assetId)
+            .map(obj => this.uploadImageAsset(obj));
+        await Promise.all(pending);
+    }
+
+    // Store one object's processed image in /api/assets and remember its id. Concurrent calls
+    // share the same request; resolves to the asset id, or null when the upload failed.
+    uploadImageAsset(obj) {
+        if (obj.assetId) return Promise.resolve(obj.assetId);
+        if (obj.assetUpload) return obj.assetUpload;
+        obj.assetUpload = (async () => {
+            try {
+                // Throws for cross-origin images loaded without CORS (tainted canvas)
+                const imageUrl = obj.image.toDataURL('image/png');
+                const res = await fetch('/api/assets', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ imageUrl })
+                });
+                if (!res.ok) throw new Error(`Asset API ${res.status}`);
+                const asset = await res.json();
+                obj.assetId = asset.id;
+                return asset.id;
+            } catch (e) {
+                console.warn(`Could not store image for ${obj.text}`, e);
+                return null;
+            } finally {
+                obj.assetUpload = null;
+            }
+        })();
+        return obj.assetUpload;
+    }
+
+    // Edit tokens for scenes this browser created, keyed by scene id
+    getSceneEditTokens() {
+        try {
+            return JSON.parse(localStorage.getItem('sceneEditTokens') || '{}');
+        } catch (_) {
+            return {};
+        }
+    }
+
+    rememberSceneEditToken(id, token) {
+        const tokens = this.getSceneEditTokens();
+        tokens[id] = token;
+        try {
+            localStorage.setItem('sceneEditTokens', JSON.stringify(tokens));
+        } catch (e) {
+            console.warn('Could not store scene edit token', e);
+        }
+    }
+
+    // Store a layout via the scenes API: updates the current scene when this browser owns it,
+    // otherwise creates a new one. Resolves to the scene id.
+    async storeSceneLayout(layout) {
+        const token = this.currentSceneId ? this.getSceneEditTokens()[this.currentSceneId] : null;
+        const res = token
+            ? await fetch(`/api/scenes/${this.currentSceneId}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json', 'X-Scene-Token': token },
+                body: JSON.stringify({ layout })
+            })
+            : await fetch('/api/scenes', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ layout })
+            });
+        if (!res.ok) {
+            let errText = '';
+            try { errText = await res.text(); } catch (_) {}
+            throw new Error(`Scene API ${res.status}: ${errText || 'Unknown error'}`);
+        }
+        const data = await res.json();
+        if (data.editToken) this.rememberSceneEditToken(data.id, data.editToken);
+        this.currentSceneId = data.id;
+        return data.id;
+    }
+
+    // Scene id from ?scene=<id>, or null when absent or malformed
+    getSceneIdFromUrl() {
+        const id = new URLSearchParams(window.location.search).get('scene');
+        return id && /^[A-Za-z0-9]{8,16}$/.test(id) ? id : null;
+    }
+
+    // Static hosting has no /api/scenes and Vercel answers 501 without a durable store; either
+    // way sharing would only fail, so the button stays hidden unless GET /api/scenes succeeds
+    async probeSceneApi() {
+        try {
+            const res = await fetch('/api/scenes');
+            this.setSceneApiAvailable(res.ok);
+        } catch (_) {
+            this.setSceneApiAvailable(false);
+        }
+    }
+
+    setSceneApiAvailable(available) {
+        this.sceneApiAvailable = available;
+        const shareBtn = document.getElementById('shareBtn');
+        if (shareBtn) shareBtn.hidden = !available;
+    }
+
+    // Share button: store a snapshot of the scene (with its images) and hand out /?scene=<id>
+    async shareScene() {
+        const statusEl = document.getElementById('status');
+        try {
+            await this.persistSceneImages();
+            const layout = this.serializeSceneLayout({ embedImages: true });
+            const res = await fetch('/api/scenes', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ layout })
+            });
+            if (!res.ok) {
+                // The API went away since the probe: stop offering to share
+                if ([404, 405, 501].includes(res.status)) this.setSceneApiAvailable(false);
+                let errText = '';
+                try { errText = await res.text(); } catch (_) {}
+                throw new Error(`Scene API ${res.status}: ${errText || 'Unknown error'}`);
+            }
+            const { id, editToken } = await res.json();
+            this.rememberSceneEditToken(id, editToken);
+
+            const url = new URL(window.location.href);
+            url.search = `?scene=${id}`;
+            window.history.replaceState(null, '', url);
+
+            let copied = false;
+            try {
+                await navigator.clipboard.writeText(url.toString());
+                copied = true;
+            } catch (_) {}
+            this.showCanvasMessage(copied ? 'Link copied! Paste it anywhere to share.' : `Share this link: ${url}`, 5000);
+            if (statusEl) statusEl.textContent = `Shared scene ${id}`;
+            return url.toString();
+        } catch (e) {
+            console.error('Sharing scene failed', e);
+            this.showCanvasMessage('Could not create a share link. Try again?', 4000);
+            if (statusEl) statusEl.textContent = 'Share failed';
+            return null;
+        }
+    }
+
+    // Admin save (Ctrl+Shift+S): store the layout on the server, keeping the JSON in the
+    // console so it can still be promoted to public/sceneLayout.json as the default scene
+    async saveSceneLayout() {
+        await this.persistSceneImages();
+        const layout = this.serializeSceneLayout({ embedImages: true });
         
         console.log('=== SCENE LAYOUT FOR sceneLayout.json ===');
         console.log(JSON.stringify(layout, null, 2));
-        console.log('=== Copy the above JSON to public/sceneLayout.json ===');
         
-        // Show user feedback
         const statusEl = document.getElementById('status');
-        if (statusEl) {
-            statusEl.textContent = 'Scene layout saved to console! Copy JSON to sceneLayout.json';
-            setTimeout(() => {
-                statusEl.textContent = 'Drag text to interact.';
-            }, 3000);
+        try {
+            const id = await this.storeSceneLayout(layout);
+            console.log(`💾 Scene saved as ${id} (load with loadSceneLayout('${id}'))`);
+            if (statusEl) statusEl.textContent = `Scene saved: ${id}`;
+            this.showCanvasMessage(`Scene saved (${id})`, 3000);
+        } catch (e) {
+            console.error('Saving scene to server failed', e);
+            console.log('=== Copy the above JSON to public/sceneLayout.json ===');
+            if (statusEl) statusEl.textContent = 'Scene save failed; layout printed to console';
+            this.showCanvasMessage('Could not save scene; layout printed to console', 4000);
         }
     }
     
-    async loadSceneLayout() {
+    // Load a stored scene by id, or public/sceneLayout.json when no id is given
+    async loadSceneLayout(sceneId = null) {
         try {
-            const response = await fetch('./sceneLayout.json');
-            if (!response.ok) {
-                console.log('No sceneLayout.json found, using default layout');
-                this.createDefaultScene();
-                return;
-            }
-            
-            const layout = await response.json();
-            console.log('Loading scene layout from sceneLayout.json');
-            
-            // Load objects from layout
-            for (const objData of layout.objects) {
-                if (objData.specialProperties.isCup) {
-                    this.imageCupObj = this.createImageCupAt(objData.x, objData.y);
-                } else if (objData.specialProperties.isWastebasket) {
-                    this.imageWastebasketObj = this.createImageWastebasketAt(objData.x, objData.y);
-                } else {
-                    const obj = this.addCachedImageObject(
-                        objData.name.toLowerCase(), 
-                        objData.x, 
-                        objData.y, 
-                        { 
-                            scale: objData.scale, 
-                            rotation: objData.rotation 
-                        }
-                    );
-                    
-                    // Apply special properties
-                    if (objData.specialProperties.isBoing && obj) {
-                        obj.isBoing = true;
-                        obj.body.restitution = 1.3;
-                        console.log('✅ Boing object loaded with special properties:', obj.text, 'restitution:', obj.body.restitution);
-                    }
+            let layout;
+            if (sceneId) {
+                const response = await fetch(`/api/scenes/${encodeURIComponent(sceneId)}`);
+                if (!response.ok) {
+                    // A stale or mistyped share link still gets the regular scene
+                    console.warn(`Scene ${sceneId} could not be loaded (${response.status}), using sceneLayout.json`);
+                    this.showCanvasMessage("That shared scene couldn't be found, here's the original!", 4000);
+                    return this.loadSceneLayout(null);
                 }
-            }
-            
-            // Position the input form relative to the cup
-            const cupBottomY = this.imageCupObj ? this.imageCupObj.body.position.y + this.imageCupObj.height / 2 : this.gameHeight * 0.9;
-            const formContainer = document.querySelector('.input-container');
-            if (formContainer) {
-                // Add 80px offset to move the form higher
-                formContainer.style.bottom = `${this.gameHeight - cupBottomY + 80}px`;
+                const scene = await response.json();
+                layout = scene.layout;
+                this.currentSceneId = scene.id;
+                console.log(`Loading stored scene ${scene.id}`);
+            } else {
+                const response = await fetch('./sceneLayout.json');
+                if (!response.ok) {
+                    console.log('No sceneLayout.json found, using default layout');
+                    this.createDefaultScene();
+                    return;
+                }
+                layout = await response.json();
+                console.log('Loading scene layout from sceneLayout.json');
             }
 
-            // Start with a single marble
-            this.spawnMultipleMarbles(1);
+            await this.applySceneLayout(layout);
             
         } catch (error) {
             console.log('Error loading scene layout:', error);
             this.createDefaultScene();
         }
     }
+
+    // Remove every placed object and marble, keeping only the sentence
+    clearSceneObjects() {
+        this.cancelAllGenerations();
+        this.marblePathSamples = [];
+        this.gameObjects = this.gameObjects.filter(obj => {
+            if (obj.isText && !obj.isDraggable) return true;
+            if (obj.body) Matter.World.remove(this.world, obj.body);
+            if (obj.topSensorBody) Matter.World.remove(this.world, obj.topSensorBody);
+            if (obj.deleteSensorBody) Matter.World.remove(this.world, obj.deleteSensorBody);
+            if (obj.constraint) Matter.World.remove(this.world, obj.constraint);
+            return false;
+        });
+        this.imageCupObj = null;
+        this.imageWastebasketObj = null;
+
+        this.marbles.forEach(marble => {
+            if (marble.body) {
+                Matter.World.remove(this.world, marble.body);
+            }
+        });
+        this.marbles = [];
+    }
+
+    // Place the objects of a layout (sceneLayout.json format) and start the round
+    async applySceneLayout(layout) {
+        // Loading over an existing scene replaces it
+        this.clearSceneObjects();
+
+        // Load objects from layout; embedded images load asynchronously
+        const pending = [];
+        for (const objData of layout.objects) {
+            const special = objData.specialProperties || {};
+            const applySpecial = (obj) => {
+                if (objData.material && obj) this.applyMaterial(obj, objData.material);
+                if (special.isBoing && obj) {
+                    obj.isBoing = true;
+                    obj.body.restitution = 1.3;
+                    console.log('✅ Boing object loaded with special properties:', obj.text, 'restitution:', obj.body.restitution);
+                }
+            };
+
+            if (special.isCup) {
+                this.imageCupObj = this.createImageCupAt(objData.x, objData.y);
+            } else if (special.isWastebasket) {
+                this.imageWastebasketObj = this.createImageWastebasketAt(objData.x, objData.y);
+            } else if (objData.asset || objData.imageData || objData.sourceUrl) {
+                // Stored assets and embedded data were saved after keying, so they are already
+                // matted; source URLs are fetched again and re-keyed like a fresh URL load.
+                // Shared layouts are untrusted: embedded data must be a raster data URL and source
+                // URLs only go through the SSRF-guarded proxy, never straight from this browser.
+                if (objData.imageData && !/^data:image\/(?:png|jpeg|webp);base64,/.test(objData.imageData)) {
+                    console.warn(`Skipping ${objData.name}: unsupported embedded image`);
+                    continue;
+                }
+                const name = objData.name.toLowerCase();
+                const placement = {
+                    x: objData.x,
+                    y: objData.y,
+                    scale: objData.scale,
+                    rotation: objData.rotation,
+                    isStatic: objData.isStatic ?? true,
+                    collisionMode: objData.collisionMode || null
+                };
+                const restored = objData.asset || objData.imageData
+                    ? this.addImageObject(name, objData.asset ? `/api/assets/${encodeURIComponent(objData.asset)}` : objData.imageData, {
+                        ...placement,
+                        preMatted: true,
+                        assetId: objData.asset || null
+                    })
+                    : this.addImageObject(name, this.proxiedImageUrl(objData.sourceUrl), { ...placement, sourceUrl: objData.sourceUrl });
+                pending.push(restored.then(applySpecial).catch(e => console.error(`Failed to restore image ${objData.name}`, e)));
+            } else if (objData.textStyle) {
+                this.createDraggableTextObject(objData.name, objData.x, objData.y, objData.textStyle, objData.rotation);
+            } else {
+                const obj = this.addCachedImageObject(
+                    objData.name.toLowerCase(), 
+                    objData.x, 
+                    objData.y, 
+                    { 
+                        scale: objData.scale, 
+                        rotation: objData.rotation,
+                        isStatic: objData.isStatic ?? true,
+                        collisionMode: objData.collisionMode || null
+                    }
+                );
+                
+                // Apply special properties
+                applySpecial(obj);
+            }
+        }
+        await Promise.all(pending);
+        
+        // Position the input form relative to the cup
+        const cupBottomY = this.imageCupObj ? this.imageCupObj.body.position.y + this.imageCupObj.height / 2 : this.gameHeight * 0.9;
+        const formContainer = document.querySelector('.input-container');
+        if (formContainer) {
+            // Add 80px offset to move the form higher
+            formContainer.style.bottom = `${this.gameHeight - cupBottomY + 80}px`;
+        }
+
+        // Start with a single marble
+        this.spawnMultipleMarbles(1);
+    }
     
     createDefaultScene() {
         // Your current scene creation logic
@@ -2109,7 +3560,7 @@ class MusicalMarbleDrop {
                         }
                     }
                     
-                    if (isBodyMatch && obj.text === 'BOING' && obj.isImage) {
+                    if (isBodyMatch && (obj.isBoing || obj.text === 'BOING') && obj.isImage) {
                         const marbleObj = objA?.isMarble ? objA : objB;
                         
                         // Add rainbow trail effect to the boing object
@@ -2169,10 +3620,10 @@ class MusicalMarbleDrop {
             }
             
             // Marble hitting boing object - special bouncy behavior with rainbow trail
-            if ((objA?.isMarble && objB?.isImage && objB?.text === 'BOING') || 
-                (objA?.isImage && objA?.text === 'BOING' && objB?.isMarble)) {
+            const isBoingObj = (obj) => obj?.isImage && (obj.isBoing || obj.text === 'BOING');
+            if ((objA?.isMarble && isBoingObj(objB)) || (isBoingObj(objA) && objB?.isMarble)) {
                 const marbleObj = objA?.isMarble ? objA : objB;
-                const boingObj = (objA?.isImage && objA?.text === 'BOING') ? objA : objB;
+                const boingObj = isBoingObj(objA) ? objA : objB;
                 
                 console.log('🎯 BOING collision detected!', boingObj);
                 
@@ -2334,112 +3785,685 @@ class MusicalMarbleDrop {
         }
     }
     
-    async generateObject() {
+    // Record a few live marble positions every handful of frames (ring buffer)
+    sampleMarblePath() {
+        if (!this.marbles.length || ++this.marblePathSampleTick % 6 !== 0) return;
+        for (const marble of this.marbles.slice(0, 3)) {
+            const { x, y } = marble.body.position;
+            if (x < 0 || x > this.gameWidth || y < 0 || y > this.gameHeight) continue;
+            this.marblePathSamples.push({ x, y });
+        }
+        if (this.marblePathSamples.length > 300) {
+            this.marblePathSamples.splice(0, this.marblePathSamples.length - 300);
+        }
+    }
+
+    // Points the marble is known or expected to pass: live samples, else the recorded
+    // playback path, else a straight drop from the spawn point
+    getMarblePathPoints() {
+        if (this.marblePathSamples.length >= 10) return this.marblePathSamples;
+        if (this.recordedPath && this.recordedPath.length) {
+            const stride = Math.max(1, Math.floor(this.recordedPath.length / 150));
+            return this.recordedPath.filter((_, i) => i % stride === 0).map(p => ({ x: p.x, y: p.y }));
+        }
+        const spawnX = this.initialSpawnPos ? this.initialSpawnPos.x : this.gameWidth / 2;
+        const points = [];
+        for (let y = 0; y < this.gameHeight; y += 40) points.push({ x: spawnX, y });
+        return points;
+    }
+
+    // The point new objects should gather around, if placement follows clicks
+    getPlacementHint() {
+        return this.placementMode === 'click' ? this.lastClickPosition : null;
+    }
+
+    // Centre for a new width×height object that overlaps no existing body (bounds inflated by
+    // margin) and stays inside the play area above the input bar. With `near` the search
+    // spirals out from that point; otherwise spots just below the marble's path are scored by
+    // distance to it, so the marble is likely to reach the object. Falls back to a scan of the
+    // whole play area, then to a random spot when the scene is full.
+    // options: { near: { x, y } | null, margin=12 }
+    findPlacement(width, height, options = {}) {
+        const { near = null, margin = 12 } = options;
+        const halfW = width / 2 + margin;
+        const halfH = height / 2 + margin;
+        const minX = halfW;
+        const maxX = this.gameWidth - halfW;
+        const minY = halfH;
+        const maxY = this.gameHeight - this.placementBottomReserve - halfH;
+        const obstacles = this.gameObjects
+            .filter(obj => obj.body && !obj.isMarble)
+            .map(obj => obj.body.bounds);
+        const isFree = (x, y) => x >= minX && x <= maxX && y >= minY && y <= maxY &&
+            !obstacles.some(b => x - halfW < b.max.x && x + halfW > b.min.x && y - halfH < b.max.y && y + halfH > b.min.y);
+
+        if (near) {
+            const step = Math.max(10, Math.min(width, height) / 3);
+            for (let ring = 0; ring <= 15; ring++) {
+                const count = ring === 0 ? 1 : ring * 8;
+                for (let i = 0; i < count; i++) {
+                    const angle = (i / count) * Math.PI * 2;
+                    const x = near.x + Math.cos(angle) * ring * step;
+                    const y = near.y + Math.sin(angle) * ring * step;
+                    if (isFree(x, y)) return { x, y };
+                }
+            }
+        }
+
+        const path = this.getMarblePathPoints();
+        const stride = Math.max(1, Math.floor(path.length / 60));
+        const anchors = path.filter((_, i) => i % stride === 0);
+        const distanceToPath = (x, y) => {
+            let best = Infinity;
+            for (const p of anchors) best = Math.min(best, Math.hypot(p.x - x, p.y - y));
+            return best;
+        };
+
+        let best = null;
+        const consider = (x, y) => {
+            if (!isFree(x, y)) return;
+            // A little jitter so repeated requests don't all pile onto the same spot
+            const score = distanceToPath(x, y) + Math.random() * 20;
+            if (!best || score < best.score) best = { x, y, score };
+        };
+        for (const p of anchors) {
+            for (const dx of [-width, -width / 2, 0, width / 2, width]) {
+                for (const dy of [height / 2, height]) {
+                    consider(p.x + dx, p.y + dy);
+                }
+            }
+        }
+        if (!best) {
+            for (let y = minY; y <= maxY; y += 40) {
+                for (let x = minX; x <= maxX; x += 40) consider(x, y);
+            }
+        }
+        if (best) return { x: best.x, y: best.y };
+
+        return {
+            x: Math.random() * (this.gameWidth - 100) + 50,
+            y: Math.random() * (this.gameHeight - 200) + 100
+        };
+    }
+
+    // Queue the description in the input (options: { forceRegenerate } bypasses the server-side
+    // prompt cache). The input clears right away so several objects can be requested in a row.
+    generateObject(options = {}) {
         const input = document.getElementById('objectInput');
         const description = input.value.trim();
         
         if (!description) return;
         
-        document.getElementById('spinner').style.display = 'block';
-        document.getElementById('status').textContent = 'Generating object...';
+        input.value = '';
+        this.hideCatalogSuggestions();
+        this.enqueueGeneration(description, options);
+    }
 
-        try {
-            await this.createGeneratedObject(description);
-            document.getElementById('status').textContent = `Created: ${description}`;
-        } catch (e) {
-            console.error('Generation failed', e);
-            document.getElementById('status').textContent = 'Generation failed';
-        } finally {
-            document.getElementById('spinner').style.display = 'none';
-            input.value = '';
-        }
+    // Lowercase words only: "Slip-on  Shoe!" -> "slip on shoe"
+    normalizeCatalogText(text) {
+        return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
     }
-    
-    async createGeneratedObject(description) {
-        const x = Math.random() * (this.canvas.width - 100) + 50;
-        const y = Math.random() * (this.canvas.height - 200) + 100;
-        
-        // Check if description mentions an image we have
-        const lowerDesc = description.toLowerCase();
-        let obj;
-        
-        // If a URL is present, treat it as an image to load dynamically
-        const urlMatch = description.match(/https?:\/\/[^\s]+/);
-        if (urlMatch) {
-            const url = urlMatch[0];
-            const nameFromUrl = url.split('/').pop().split('.')[0] || 'image';
-            await this.addImageObject(nameFromUrl, url, { x, y, scale: 1, tolerance: this.whiteToAlphaTolerance, isStatic: true });
-            return;
-        }
-        
-        // Quick keywords for built-in images
-        if (lowerDesc.includes('pencil') && this.imageCache.has('pencil')) {
-            await this.addImageObject('pencil', './images/pencil.png', { x, y, scale: 1, tolerance: this.whiteToAlphaTolerance, isStatic: true });
-            return;
+
+    // 0..1 similarity from the optimal string alignment distance (edits plus adjacent swaps)
+    stringSimilarity(a, b) {
+        if (a === b) return 1;
+        if (!a.length || !b.length) return 0;
+        let prevPrev = null;
+        let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const row = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+                if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+                }
+            }
+            prevPrev = prev;
+            prev = row;
         }
-        if (lowerDesc.includes('banana') && this.imageCache.has('banana')) {
-            // Use runtime white→alpha processing and accurate collision
-            await this.addImageObject('banana', './images/banana.png', { x, y, scale: 1, tolerance: this.whiteToAlphaTolerance, isStatic: true });
-            return;
+        return 1 - prev[b.length] / Math.max(a.length, b.length);
+    }
+
+    // How well one typed word matches one catalog word: exact 1, a prefix of it (still typing)
+    // 0.6-0.9 by how much is typed, a near miss on 4+ letters up to 0.95, otherwise 0
+    scoreCatalogWord(typed, word) {
+        if (typed === word) return 1;
+        if (typed.length >= 2 && word.startsWith(typed)) return 0.6 + 0.3 * (typed.length / word.length);
+        if (typed.length >= 4 && word.length >= 4) {
+            const similarity = this.stringSimilarity(typed, word);
+            if (similarity >= 0.7) return similarity * 0.95;
         }
+        return 0;
+    }
 
-        // Try LLM image generation via backend
-        try {
-            // Add system instruction for white background
-            const enhancedPrompt = `Please make a product photo on a #ffffff background with no shadows of the item listed:
+    // Score catalog entries against free text; returns [{ entry, score, term }] best first.
+    // A term (name, label, synonym or tag) scores the average of its words' best match in the
+    // query; tags count for less since they only hint at the object.
+    findCatalogMatches(query, limit = 5, minScore = this.catalogSuggestionScore) {
+        const stopWords = new Set(['a', 'an', 'the', 'of', 'with', 'and', 'on', 'in', 'some', 'my']);
+        const typedWords = this.normalizeCatalogText(query).split(' ').filter(w => w && !stopWords.has(w));
+        if (!typedWords.length) return [];
+
+        const scoreTerm = (term) => {
+            const words = this.normalizeCatalogText(term).split(' ').filter(w => w && !stopWords.has(w));
+            if (!words.length) return 0;
+            const total = words.reduce((sum, word) => sum + Math.max(...typedWords.map(typed => this.scoreCatalogWord(typed, word))), 0);
+            return total / words.length;
+        };
 
-${description}`;
-            
-            const res = await fetch('/api/generate-image', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ prompt: enhancedPrompt, size: '1024x1024' })
+        const matches = [];
+        ASSET_CATALOG.forEach((entry) => {
+            if (entry.fixture) return;
+            let best = { score: 0, term: null };
+            const consider = (term, weight) => {
+                const score = scoreTerm(term) * weight;
+                if (score > best.score) best = { score, term };
+            };
+            [entry.name, entry.label, ...(entry.synonyms || [])].forEach(term => consider(term, 1));
+            (entry.tags || []).forEach(term => consider(term, 0.6));
+            if (best.score >= minScore) matches.push({ entry, ...best });
+        });
+        return matches.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+
+    // The built-in asset a prompt clearly asks for, or null. Stricter than the suggestion list:
+    // only exact words count, and a name, label or synonym must cover the whole prompt or most
+    // of it (articles and colours aside), so "a red bandana" or "shoe rack" still get generated.
+    // Returns { entry, score, term } like findCatalogMatches, score being the covered share.
+    matchCatalogPrompt(description) {
+        const ignored = new Set([
+            'a', 'an', 'the', 'of', 'with', 'and', 'on', 'in', 'some', 'my',
+            'red', 'orange', 'yellow', 'green', 'blue', 'purple', 'pink', 'brown',
+            'black', 'white', 'grey', 'gray', 'silver', 'gold', 'golden'
+        ]);
+        const wordsOf = text => this.normalizeCatalogText(text).split(' ').filter(w => w && !ignored.has(w));
+        const promptWords = [...new Set(wordsOf(description))];
+        if (!promptWords.length) return null;
+
+        let best = null;
+        ASSET_CATALOG.forEach((entry) => {
+            if (entry.fixture) return;
+            [entry.name, entry.label, ...(entry.synonyms || [])].forEach((term) => {
+                const termWords = wordsOf(term);
+                if (!termWords.length || !termWords.every(word => promptWords.includes(word))) return;
+                const score = new Set(termWords).size / promptWords.length;
+                if (score > this.catalogAutoMatchCoverage && (!best || score > best.score)) best = { entry, score, term };
             });
-            if (!res.ok) {
-                // Read error body for diagnostics
-                let errText = '';
-                try { errText = await res.text(); } catch (_) {}
-                console.warn('Image API error', res.status, errText);
-                throw new Error(`Image API ${res.status}: ${errText || 'Unknown error'}`);
+        });
+        return best;
+    }
+
+    // Refresh the suggestion list under #objectInput for what has been typed so far
+    updateCatalogSuggestions() {
+        const input = document.getElementById('objectInput');
+        const list = document.getElementById('objectSuggestions');
+        const query = input.value.trim();
+        // URLs load as images and never match the catalog
+        this.catalogSuggestions = query && !/https?:\/\//.test(query) ? this.findCatalogMatches(query) : [];
+        this.catalogSuggestionIndex = -1;
+
+        list.innerHTML = '';
+        this.catalogSuggestions.forEach(({ entry, term }, i) => {
+            const item = document.createElement('li');
+            item.setAttribute('role', 'option');
+            const thumb = document.createElement('img');
+            thumb.src = entry.path;
+            thumb.alt = '';
+            const label = document.createElement('span');
+            label.textContent = entry.label;
+            item.append(thumb, label);
+            // Say which synonym matched when it isn't the label itself
+            if (term && this.normalizeCatalogText(term) !== this.normalizeCatalogText(entry.label) && term !== entry.name) {
+                const hint = document.createElement('small');
+                hint.textContent = term;
+                item.append(hint);
             }
+            // mousedown rather than click so the input keeps focus
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.pickCatalogSuggestion(i);
+            });
+            list.append(item);
+        });
+        list.style.display = this.catalogSuggestions.length ? 'block' : 'none';
+    }
+
+    // Move the highlight by delta (ArrowUp/ArrowDown), wrapping around the list
+    moveCatalogSuggestion(delta) {
+        const count = this.catalogSuggestions.length;
+        if (!count) return;
+        this.catalogSuggestionIndex = (this.catalogSuggestionIndex + 1 + delta + count + 1) % (count + 1) - 1;
+        const items = document.getElementById('objectSuggestions').children;
+        Array.from(items).forEach((item, i) => item.classList.toggle('active', i === this.catalogSuggestionIndex));
+    }
+
+    hideCatalogSuggestions() {
+        this.catalogSuggestions = [];
+        this.catalogSuggestionIndex = -1;
+        const list = document.getElementById('objectSuggestions');
+        list.innerHTML = '';
+        list.style.display = 'none';
+    }
+
+    // Add the chosen built-in through the queue, like a typed prompt naming it
+    pickCatalogSuggestion(index) {
+        const match = this.catalogSuggestions[index];
+        if (!match) return;
+        document.getElementById('objectInput').value = '';
+        this.hideCatalogSuggestions();
+        this.enqueueGeneration(match.entry.label);
+    }
+
+    // Add a generation request to the queue with a ghost placeholder on the canvas
+    enqueueGeneration(description, options = {}) {
+        const { forceRegenerate = false } = options;
+        const size = this.objectSizePolicy.generated;
+        const { x, y } = this.findPlacement(size, size, { near: this.getPlacementHint() });
+        const item = {
+            id: ++this.generationQueueCounter,
+            description,
+            forceRegenerate,
+            variations: this.pickFromVariations ? this.variationCount : 1,
+            status: 'pending', // 'pending' | 'running' | 'picking' | 'failed'
+            phase: null,
+            modelText: '',
+            error: null,
+            controller: null
+        };
+        item.ghost = this.createGhostObject(item, x, y);
+        this.generationQueue.push(item);
+        document.getElementById('status').textContent = `Queued: ${description}`;
+        this.processGenerationQueue();
+        return item;
+    }
+
+    // Start pending items while fewer than maxConcurrentGenerations are running. Items waiting
+    // in the variation picker are done with the API, so they don't hold a slot.
+    processGenerationQueue() {
+        let running = this.generationQueue.filter(item => item.status === 'running').length;
+        for (const item of this.generationQueue) {
+            if (running >= this.maxConcurrentGenerations) break;
+            if (item.status !== 'pending') continue;
+            running++;
+            this.runGenerationItem(item);
+        }
+        this.updateGenerationProgress();
+    }
+
+    async runGenerationItem(item) {
+        item.status = 'running';
+        item.phase = 'queued';
+        item.modelText = '';
+        item.error = null;
+        item.controller = new AbortController();
 
-            const data = await res.json();
-            if (data && data.imageUrl) {
-                const name = `gen_${Date.now()}`;
-                await this.addImageObject(name, data.imageUrl, { x, y, scale: 0.25, tolerance: this.whiteToAlphaTolerance, isStatic: true });
-                document.getElementById('status').textContent = 'Created via AI image';
+        try {
+            const obj = await this.createGeneratedObject(item.description, {
+                forceRegenerate: item.forceRegenerate,
+                variations: item.variations,
+                signal: item.controller.signal,
+                // The ghost may have been dragged or rotated while waiting; land where it is now
+                getPlacement: () => ({ x: item.ghost.body.position.x, y: item.ghost.body.position.y, rotation: item.ghost.body.angle }),
+                onProgress: (phase, modelText, payload) => {
+                    item.phase = phase;
+                    item.modelText = modelText;
+                    item.cached = !!payload?.cached;
+                    if (phase === 'picking') {
+                        // The candidates are here: free the slot for the next prompt
+                        item.status = 'picking';
+                        this.processGenerationQueue();
+                    } else {
+                        this.updateGenerationProgress();
+                    }
+                }
+            });
+            if (!this.generationQueue.includes(item)) {
+                // Cancelled while the image was being placed
+                if (obj) this.deleteObject(obj);
                 return;
             }
-            throw new Error('Image API returned OK but no imageUrl field');
+            this.removeGenerationItem(item);
+            document.getElementById('status').textContent = `Created: ${item.description}`;
         } catch (err) {
-            console.warn('AI image generation failed, falling back to text', err);
-            const statusEl = document.getElementById('status');
-            if (statusEl) statusEl.textContent = `AI gen failed: ${err?.message || err}`;
+            if (err?.name === 'AbortError' || !this.generationQueue.includes(item)) {
+                // Cancelled by the user: nothing to place
+                this.removeGenerationItem(item);
+                document.getElementById('status').textContent = 'Generation cancelled';
+            } else if (this.shouldUseOfflineFallback(err)) {
+                // The AI can't help right now: land a word-art version where the placeholder is
+                const { x, y } = item.ghost.body.position;
+                const rotation = item.ghost.body.angle;
+                console.warn('Generation failed, using word art', item.description, err);
+                this.removeGenerationItem(item);
+                this.createWordArtObject(item.description, { x, y, rotation });
+                document.getElementById('status').textContent = `Created word art: ${item.description}`;
+                this.showCanvasMessage("The image generator isn't available, so here's a word-art version.", 4000);
+            } else {
+                item.status = 'failed';
+                item.error = this.describeGenerationError(err);
+                console.warn('Generation failed', item.description, err);
+                document.getElementById('status').textContent = `Generation failed: ${item.error}`;
+                if (err?.status === 429) {
+                    // Out of quota: explain on the canvas as well as on the placeholder
+                    this.showCanvasMessage(this.rateLimitMessage(err.info?.scope, err.info?.retryAfter || 60), 6000);
+                }
+            }
+        } finally {
+            item.controller = null;
+            this.processGenerationQueue();
         }
+    }
 
-        // Fallback: Create a static text object
-        {
-            const color = `hsl(${Math.random() * 360}, 70%, 50%)`;
-            this.ctx.font = 'bold 24px "Passion One"';
-            const textMetrics = this.ctx.measureText(description.substring(0, 10));
-            const textWidth = textMetrics.width;
-            
-            obj = {
-                text: description.substring(0, 10),
-                x: x,
-                y: y,
-                color: color,
-                fontSize: 24,
-                rotation: 0,
-                isDraggable: true,
-                isText: true,
-                width: textWidth + 20,
-                height: 40
-            };
+    // Word art stands in whenever the AI can't deliver: the network request itself failed
+    // (fetch rejects with a TypeError), there is no endpoint (404/405 on static hosting), the
+    // server has no provider configured (code 'unavailable'), the provider is failing (5xx) or
+    // the daily quota is spent. Only bad requests (other 4xx) and short-term rate limits keep
+    // the failed placeholder with its error and ↻ retry.
+    shouldUseOfflineFallback(err) {
+        if (!this.offlineFallback || err?.noFallback) return false;
+        if (err?.info?.code === 'unavailable') return true;
+        if (err?.status === 429) return !!err.info?.scope?.startsWith('daily');
+        if (err?.status === 404 || err?.status === 405 || err?.status >= 500) return true;
+        return !err?.status && err instanceof TypeError;
+    }
+
+    // Short, user-facing reason shown on a failed placeholder
+    describeGenerationError(err) {
+        if (err?.status === 429) {
+            const retryAfter = err.info?.retryAfter || 60;
+            return err.info?.scope?.startsWith('daily') ? 'Daily limit reached' : `Rate limited, retry in ${retryAfter}s`;
+        }
+        if (err?.status) return err.info?.message || err.info?.error || `Server error ${err.status}`;
+        return err?.message || 'Something went wrong';
+    }
+
+    // Cancel a pending/running item, or dismiss a failed one
+    cancelGenerationItem(item) {
+        if (item.controller) item.controller.abort();
+        this.removeGenerationItem(item);
+        this.processGenerationQueue();
+    }
+
+    retryGenerationItem(item) {
+        if (item.status !== 'failed') return;
+        item.status = 'pending';
+        item.error = null;
+        this.processGenerationQueue();
+    }
+
+    removeGenerationItem(item) {
+        const index = this.generationQueue.indexOf(item);
+        if (index > -1) this.generationQueue.splice(index, 1);
+        if (this.dragTarget === item.ghost) {
+            // The placeholder was being dragged when it resolved: end that drag
+            this.dragTarget = null;
+            this.isDragging = false;
+            this.isRotating = false;
+            this.hideDeleteIndicator();
         }
+        this.deleteObject(item.ghost);
+    }
+
+    // Abort and drop every queued generation (progress Cancel button / Escape / scene reload)
+    cancelAllGenerations() {
+        for (const item of [...this.generationQueue]) {
+            if (item.controller) item.controller.abort();
+            this.removeGenerationItem(item);
+        }
+        this.updateGenerationProgress();
+    }
+
+    // Draggable, non-colliding stand-in for an object that is still being generated
+    createGhostObject(item, x, y) {
+        const size = this.objectSizePolicy.generated * 0.6;
+        const obj = {
+            text: item.description,
+            x,
+            y,
+            rotation: 0,
+            isDraggable: true,
+            isGhost: true,
+            queueItem: item,
+            width: size,
+            height: size
+        };
+        const body = Matter.Bodies.rectangle(x, y, size, size, {
+            isStatic: true,
+            isSensor: true
+        });
+        obj.body = body;
+        body.gameObject = obj;
+        this.gameObjects.push(obj);
+        Matter.World.add(this.world, body);
+        return obj;
+    }
+
+    // Phase wording shared by the placeholders and the progress line
+    generationPhaseText(item) {
+        if (item.status === 'pending') return 'Waiting…';
+        if (item.status === 'failed') return item.error;
+        const labels = {
+            queued: 'Queued…',
+            generating: item.cached ? 'Found it in the cache…' : 'Drawing…',
+            'post-processing': 'Cutting it out…',
+            picking: 'Pick one below…'
+        };
+        return labels[item.phase] || 'Working…';
+    }
+
+    // Cancel (×, top right) and retry (↻, top left, failed items only) buttons of a placeholder,
+    // in the ghost's local coordinates
+    getGhostButtons(ghost) {
+        const half = ghost.width / 2;
+        const buttons = [{ action: 'cancel', x: half - 14, y: -half + 14, r: 11 }];
+        if (ghost.queueItem.status === 'failed') buttons.push({ action: 'retry', x: -half + 14, y: -half + 14, r: 11 });
+        return buttons;
+    }
+
+    // The placeholder button under a canvas point, if any: { item, action }
+    getGhostButtonAt(x, y) {
+        for (const obj of this.gameObjects) {
+            if (!obj.isGhost) continue;
+            const dx = x - obj.body.position.x;
+            const dy = y - obj.body.position.y;
+            const cos = Math.cos(-obj.body.angle);
+            const sin = Math.sin(-obj.body.angle);
+            const local = { x: dx * cos - dy * sin, y: dx * sin + dy * cos };
+            for (const button of this.getGhostButtons(obj)) {
+                if (Math.hypot(local.x - button.x, local.y - button.y) <= button.r + 3) {
+                    return { item: obj.queueItem, action: button.action };
+                }
+            }
+        }
+        return null;
+    }
+
+    renderGhost(obj) {
+        const item = obj.queueItem;
+        const failed = item.status === 'failed';
+        const half = obj.width / 2;
+        const ctx = this.ctx;
+
+        ctx.translate(obj.body.position.x, obj.body.position.y);
+        ctx.rotate(obj.body.angle);
+        if (obj.deleteHoverOpacity !== undefined) ctx.globalAlpha = obj.deleteHoverOpacity;
+
+        // Dashed card; the dash pattern crawls while the item is being worked on
+        ctx.beginPath();
+        ctx.roundRect(-half, -half, obj.width, obj.height, 16);
+        ctx.fillStyle = failed ? 'rgba(255,235,235,0.9)' : 'rgba(245,245,245,0.85)';
+        ctx.fill();
+        ctx.setLineDash([8, 6]);
+        ctx.lineDashOffset = item.status === 'running' ? -(performance.now() / 40) % 14 : 0;
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = failed ? '#e74c3c' : '#9aa5b1';
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Description, wrapped to the card
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#333';
+        ctx.font = 'bold 16px "Passion One"';
+        const lines = this.wrapCanvasText(item.description, obj.width - 20, 3);
+        lines.forEach((line, i) => ctx.fillText(line, 0, -12 + (i - (lines.length - 1) / 2) * 18));
+
+        // Phase or error underneath
+        ctx.font = '11px Arial';
+        ctx.fillStyle = failed ? '#c0392b' : '#666';
+        const statusLines = this.wrapCanvasText(this.generationPhaseText(item), obj.width - 16, 2);
+        statusLines.forEach((line, i) => ctx.fillText(line, 0, half - 30 + i * 13));
+
+        for (const button of this.getGhostButtons(obj)) {
+            ctx.beginPath();
+            ctx.arc(button.x, button.y, button.r, 0, Math.PI * 2);
+            ctx.fillStyle = button.action === 'retry' ? '#3498db' : 'rgba(0,0,0,0.55)';
+            ctx.fill();
+            ctx.fillStyle = '#fff';
+            ctx.font = 'bold 13px Arial';
+            ctx.fillText(button.action === 'retry' ? '↻' : '×', button.x, button.y + 1);
+        }
+        ctx.globalAlpha = 1.0;
+    }
+
+    // Greedy word wrap for canvas text using the current font; extra lines end in an ellipsis
+    wrapCanvasText(text, maxWidth, maxLines) {
+        const lines = [];
+        let line = '';
+        for (const word of String(text).split(/\s+/)) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && this.ctx.measureText(candidate).width > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        }
+        if (line) lines.push(line);
+        if (lines.length > maxLines) {
+            lines.length = maxLines;
+            lines[maxLines - 1] = `${lines[maxLines - 1]}…`;
+        }
+        return lines;
+    }
+
+    // Create the object for a description: a URL, a built-in keyword, or an AI-generated image.
+    // options: { forceRegenerate, variations=1, signal, getPlacement, onProgress(phase, modelText, payload) }
+    // With variations > 1 the server draws that many candidates and the picker strip asks which
+    // one to use; only the chosen image becomes an object.
+    // getPlacement() => { x, y, rotation } is read when the image is ready. Resolves to the new
+    // object; failures (including cancellation via signal) reject.
+    async createGeneratedObject(description, options = {}) {
+        const { forceRegenerate = false, variations = 1, signal, onProgress = () => {} } = options;
+        const getPlacement = options.getPlacement || (() => ({
+            ...this.findPlacement(this.objectSizePolicy.generated, this.objectSizePolicy.generated, { near: this.getPlacementHint() }),
+            rotation: 0
+        }));
+        
+        // If a URL is present, treat it as an image to load dynamically
+        const urlMatch = description.match(/https?:\/\/[^\s]+/);
+        if (urlMatch) {
+            const url = urlMatch[0];
+            const nameFromUrl = url.split('/').pop().split('.')[0] || 'image';
+            try {
+                return await this.addRemoteImageObject(nameFromUrl, url, { ...getPlacement(), source: 'url', tolerance: this.whiteToAlphaTolerance, isStatic: true });
+            } catch (e) {
+                throw Object.assign(new Error("Couldn't load that image. Is the link a picture?"), { noFallback: true });
+            }
+        }
+        
+        // Prompts that clearly name a built-in asset use it instead of generating one
+        const catalogMatch = this.matchCatalogPrompt(description);
+        if (catalogMatch && this.imageCache.has(catalogMatch.entry.name)) {
+            const { entry } = catalogMatch;
+            return this.addImageObject(entry.name, entry.path, { ...getPlacement(), source: 'builtin', tolerance: this.whiteToAlphaTolerance, isStatic: true });
+        }
+
+        // LLM image generation via backend
+        // Add system instruction for white background
+        const enhancedPrompt = `Please make a product photo on a #ffffff background with no shadows of the item listed:
+
+${description}`;
+        
+        let modelText = '';
+        const request = { prompt: enhancedPrompt, subject: description, size: this.generatedImageSize, matte: true, material: true, force: forceRegenerate };
+        if (variations > 1) request.count = variations;
+        const data = await this.requestGeneratedImage(
+            request,
+            {
+                signal,
+                onEvent: (event, payload) => {
+                    if (event === 'text') {
+                        modelText += payload.text || '';
+                        onProgress('generating', modelText, payload);
+                    } else {
+                        onProgress(event, modelText, payload);
+                    }
+                }
+            }
+        );
+        if (!data || !data.imageUrl) throw new Error('Image API returned OK but no imageUrl field');
+        if (signal?.aborted) throw new DOMException('Generation cancelled', 'AbortError');
+
+        let chosen = data;
+        if (Array.isArray(data.candidates) && data.candidates.length > 1) {
+            onProgress('picking', modelText, {});
+            chosen = data.candidates[await this.pickVariation(data.candidates, { description, signal })];
+        }
+
+        const name = `gen_${Date.now()}`;
+        // Server-matted images already have true alpha; only key the ones it couldn't cut out
+        const obj = await this.addImageObject(name, chosen.imageUrl, { ...getPlacement(), source: 'generated', tolerance: this.whiteToAlphaTolerance, isStatic: true, preMatted: chosen.matted === true });
+        this.applyMaterial(obj, chosen.material);
+        document.getElementById('status').textContent = data.cached ? 'Created via AI image (cached)' : 'Created via AI image';
+        return obj;
+    }
+
+    // Give an object's body the physics of a generation material descriptor
+    // ({ name, bounciness, friction, behavior } from /api/generate-image). 'boing' objects get
+    // the BOING sign's restitution and super-bounce; missing numbers keep the current values.
+    applyMaterial(obj, material) {
+        if (!obj || !obj.body || !material) return;
+        obj.material = material;
+        const boing = material.behavior === 'boing';
+        if (boing) obj.isBoing = true;
+        const restitution = boing ? 1.3 : material.bounciness;
+        const friction = material.friction;
+        obj.body.parts.forEach(part => {
+            if (Number.isFinite(restitution)) part.restitution = restitution;
+            if (Number.isFinite(friction)) {
+                part.friction = friction;
+                part.frictionStatic = friction / 2;
+            }
+        });
+        console.log(`🧪 ${obj.text} material: ${material.name} (${material.source})`, material);
+    }
+
+    // Small draggable text block with a simple rectangle body
+    // style: { color, fontSize=24, width, height } — width/height default to the measured text
+    createDraggableTextObject(text, x, y, style = {}, rotation = 0) {
+        const { color = 'black', fontSize = 24 } = style;
+        this.ctx.font = `bold ${fontSize}px "Passion One"`;
+        const textWidth = this.ctx.measureText(text).width;
+
+        const obj = {
+            text: text,
+            x: x,
+            y: y,
+            color: color,
+            fontSize: fontSize,
+            rotation: rotation,
+            isDraggable: true,
+            isText: true,
+            width: style.width || textWidth + 20,
+            height: style.height || 40
+        };
+
         // For text, create a simple rectangle body
         const body = Matter.Bodies.rectangle(x, y, obj.width, obj.height, {
             isStatic: true,
+            angle: rotation,
             restitution: 0.4,
             friction: 0.02,
             frictionStatic: 0.01
@@ -2448,8 +4472,492 @@ ${description}`;
         body.gameObject = obj;
         this.gameObjects.push(obj);
         Matter.World.add(this.world, body);
+        return obj;
     }
     
+    // Small deterministic PRNG (mulberry32) seeded from a string (FNV-1a), so the same prompt
+    // always produces the same word art
+    createSeededRandom(text) {
+        let seed = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            seed ^= text.charCodeAt(i);
+            seed = Math.imul(seed, 0x01000193);
+        }
+        return () => {
+            seed = (seed + 0x6d2b79f5) | 0;
+            let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Up to three meaningful words of the prompt, split over one or two lines
+    wordArtLines(description) {
+        const stopWords = new Set(['a', 'an', 'the', 'of', 'with', 'and', 'on', 'in', 'some', 'my', 'that', 'is']);
+        const allWords = description.replace(/https?:\/\/\S+/g, ' ').toUpperCase().split(/\s+/)
+            .map(w => w.replace(/[^A-Z0-9'!?&-]/g, ''))
+            .filter(Boolean);
+        const words = allWords.filter(w => !stopWords.has(w.toLowerCase()));
+        const picked = (words.length ? words : allWords.length ? allWords : ['?']).slice(0, 3);
+        if (picked.length === 1 || picked.join(' ').length <= 10) return [picked.join(' ')];
+        // Break where the two lines come out most even
+        let best = null;
+        for (let i = 1; i < picked.length; i++) {
+            const lines = [picked.slice(0, i).join(' '), picked.slice(i).join(' ')];
+            const diff = Math.abs(lines[0].length - lines[1].length);
+            if (!best || diff < best.diff) best = { lines, diff };
+        }
+        return best.lines;
+    }
+
+    // Paint a sticker-like word-art badge for the prompt on a transparent canvas. Backing
+    // shape, palette, letter wobble and decorations are all drawn from a PRNG seeded by the text.
+    renderWordArt(description) {
+        const random = this.createSeededRandom(description.trim().toLowerCase());
+        const pick = (list) => list[Math.floor(random() * list.length)];
+        const lines = this.wordArtLines(description);
+
+        const hue = Math.floor(random() * 360);
+        const palette = {
+            fill: `hsl(${hue}, ${70 + Math.floor(random() * 20)}%, 58%)`,
+            dark: `hsl(${hue}, 60%, 22%)`,
+            light: `hsl(${(hue + 40) % 360}, 95%, 93%)`,
+            accent: `hsl(${(hue + 180) % 360}, 85%, 62%)`
+        };
+        const shape = pick(['badge', 'pill', 'ellipse', 'hexagon', 'burst', 'shield']);
+        const wobble = 0.04 + random() * 0.1; // max letter tilt in radians
+        const arc = shape === 'ellipse' || shape === 'burst' ? (random() - 0.5) * 0.5 : 0;
+
+        // Fit the letters to a common block width
+        const measure = document.createElement('canvas').getContext('2d');
+        const maxLineWidth = 360;
+        let fontSize = 72;
+        const fontFor = (size) => `bold ${size}px "Passion One"`;
+        const lineWidth = (line, size) => {
+            measure.font = fontFor(size);
+            return measure.measureText(line).width + line.length * size * 0.04;
+        };
+        while (fontSize > 24 && Math.max(...lines.map(line => lineWidth(line, fontSize))) > maxLineWidth) fontSize -= 4;
+        const lineHeight = fontSize * 0.95;
+        const blockW = Math.max(...lines.map(line => lineWidth(line, fontSize)));
+        const blockH = lineHeight * lines.length;
+
+        // Backing shape around the text block, with room for the outline
+        const padX = fontSize * (shape === 'ellipse' || shape === 'burst' ? 0.9 : 0.55);
+        const padY = fontSize * (shape === 'ellipse' || shape === 'burst' ? 0.8 : 0.45);
+        const shapeW = blockW + padX * 2;
+        const shapeH = Math.max(blockH + padY * 2, shape === 'hexagon' || shape === 'burst' ? shapeW * 0.55 : 0);
+        const outline = Math.max(6, fontSize * 0.12);
+        const margin = outline + 4;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(shapeW + margin * 2);
+        canvas.height = Math.ceil(shapeH + margin * 2);
+        const ctx = canvas.getContext('2d');
+        const cx = canvas.width / 2;
+        const cy = canvas.height / 2;
+
+        const tracePath = (inset) => {
+            const w = shapeW / 2 - inset;
+            const h = shapeH / 2 - inset;
+            ctx.beginPath();
+            if (shape === 'badge') {
+                ctx.roundRect(cx - w, cy - h, w * 2, h * 2, Math.min(w, h) * 0.35);
+            } else if (shape === 'pill') {
+                ctx.roundRect(cx - w, cy - h, w * 2, h * 2, h);
+            } else if (shape === 'ellipse') {
+                ctx.ellipse(cx, cy, w, h, 0, 0, Math.PI * 2);
+            } else if (shape === 'hexagon') {
+                const cut = Math.min(h, w * 0.3);
+                ctx.moveTo(cx - w + cut, cy - h);
+                ctx.lineTo(cx + w - cut, cy - h);
+                ctx.lineTo(cx + w, cy);
+                ctx.lineTo(cx + w - cut, cy + h);
+                ctx.lineTo(cx - w + cut, cy + h);
+                ctx.lineTo(cx - w, cy);
+                ctx.closePath();
+            } else if (shape === 'burst') {
+                const points = 14 + Math.floor(random() * 8);
+                for (let i = 0; i < points * 2; i++) {
+                    const a = (i / (points * 2)) * Math.PI * 2;
+                    const r = i % 2 === 0 ? 1 : 0.9;
+                    const px = cx + Math.cos(a) * w * r;
+                    const py = cy + Math.sin(a) * h * r;
+                    if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+                }
+                ctx.closePath();
+            } else {
+                // shield: flat top, sides curving to a point
+                ctx.moveTo(cx - w, cy - h);
+                ctx.lineTo(cx + w, cy - h);
+                ctx.lineTo(cx + w, cy);
+                ctx.quadraticCurveTo(cx + w, cy + h * 0.7, cx, cy + h);
+                ctx.quadraticCurveTo(cx - w, cy + h * 0.7, cx - w, cy);
+                ctx.closePath();
+            }
+        };
+
+        // Body, outline and an inner highlight ring
+        tracePath(0);
+        ctx.fillStyle = palette.fill;
+        ctx.fill();
+        ctx.lineJoin = 'round';
+        ctx.lineWidth = outline;
+        ctx.strokeStyle = palette.dark;
+        ctx.stroke();
+        tracePath(outline * 1.6);
+        ctx.lineWidth = Math.max(2, outline * 0.35);
+        ctx.strokeStyle = palette.light;
+        ctx.globalAlpha = 0.6;
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+
+        // A few sparkles inside the shape
+        ctx.save();
+        tracePath(outline * 2.5);
+        ctx.clip();
+        ctx.fillStyle = palette.accent;
+        const sparkles = 3 + Math.floor(random() * 5);
+        for (let i = 0; i < sparkles; i++) {
+            const sx = cx + (random() - 0.5) * shapeW;
+            const sy = cy + (random() - 0.5) * shapeH;
+            const r = fontSize * (0.05 + random() * 0.08);
+            ctx.beginPath();
+            ctx.arc(sx, sy, r, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.restore();
+
+        // Letters: extruded shadow, dark outline, light face; each tilted and bobbed a little
+        ctx.font = fontFor(fontSize);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        const depth = Math.max(2, fontSize * 0.06);
+        lines.forEach((line, row) => {
+            const lineY = cy - blockH / 2 + lineHeight * (row + 0.5);
+            const chars = Array.from(line);
+            const widths = chars.map(ch => ctx.measureText(ch).width + fontSize * 0.04);
+            const total = widths.reduce((sum, w) => sum + w, 0);
+            let penX = cx - total / 2;
+            chars.forEach((ch, i) => {
+                const t = total > 0 ? (penX + widths[i] / 2 - cx) / (total / 2) : 0; // -1..1 across the line
+                const letterX = penX + widths[i] / 2;
+                const letterY = lineY + arc * fontSize * (t * t - 0.5) + (random() - 0.5) * fontSize * 0.08;
+                const tilt = (random() - 0.5) * 2 * wobble + arc * t;
+                penX += widths[i];
+                if (ch === ' ') return;
+                ctx.save();
+                ctx.translate(letterX, letterY);
+                ctx.rotate(tilt);
+                ctx.fillStyle = palette.dark;
+                for (let d = depth; d > 0; d -= 1) ctx.fillText(ch, d, d);
+                ctx.lineWidth = Math.max(2, fontSize * 0.08);
+                ctx.strokeStyle = palette.dark;
+                ctx.strokeText(ch, 0, 0);
+                ctx.fillStyle = palette.light;
+                ctx.fillText(ch, 0, 0);
+                ctx.restore();
+            });
+        });
+
+        return canvas;
+    }
+
+    // Offline stand-in for an AI image: a word-art sticker of the prompt that behaves like any
+    // other image object (drag, rotate, save). options: { x, y, rotation=0, isStatic=true }
+    createWordArtObject(description, options = {}) {
+        const { x = this.canvas.width / 2, y = this.canvas.height / 2, rotation = 0, isStatic = true } = options;
+        const name = `wordart_${Date.now()}`;
+        const imgCanvas = this.renderWordArt(description);
+        this.imageCache.set(name, imgCanvas);
+        const scale = this.fitImageScale(imgCanvas, this.objectSizePolicy.generated);
+        const width = imgCanvas.width * scale;
+        const height = imgCanvas.height * scale;
+
+        const obj = {
+            text: name.toUpperCase(),
+            x,
+            y,
+            image: imgCanvas,
+            imageScale: scale,
+            rotation: 0,
+            isDraggable: true,
+            isImage: true,
+            isWordArt: true,
+            isCustomImage: true,
+            collisionMode: 'polygon', // the badge outline is a clean polygon
+            width,
+            height
+        };
+
+        let body;
+        try {
+            body = this.createPolygonImageBody(imgCanvas, width, height);
+        } catch (e) {
+            console.error('Failed to trace word art outline, falling back to rectangle', e);
+            body = Matter.Bodies.rectangle(0, 0, width, height, { restitution: 0.4, friction: 0.01, frictionStatic: 0.005 });
+        }
+        Matter.Body.setPosition(body, { x, y });
+        Matter.Body.setAngle(body, rotation);
+        Matter.Body.setStatic(body, isStatic);
+
+        obj.body = body;
+        body.gameObject = obj;
+        this.gameObjects.push(obj);
+        Matter.World.add(this.world, body);
+        return obj;
+    }
+
+    // Run a generation through /api/generate-image/stream, reporting each Server-Sent Event
+    // to onEvent(name, payload). Falls back to the plain JSON endpoint when streaming isn't
+    // deployed. Resolves to the final image payload; failures throw an Error carrying
+    // { status, info } (info is the error body, e.g. scope/retryAfter for a 429).
+    async requestGeneratedImage(body, options = {}) {
+        const { signal, onEvent = () => {} } = options;
+        const apiError = (status, info = {}) => Object.assign(
+            new Error(`Image API ${status}: ${info.message || info.error || 'Unknown error'}`),
+            { status, info }
+        );
+
+        const res = await fetch('/api/generate-image/stream', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+            body: JSON.stringify(body),
+            signal
+        });
+
+        if (res.status === 404 || res.status === 405) {
+            onEvent('generating', {});
+            const plain = await fetch('/api/generate-image', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+                signal
+            });
+            let info = {};
+            try { info = await plain.json(); } catch (_) {}
+            if (plain.status === 429) {
+                info.retryAfter = Number(plain.headers.get('Retry-After')) || info.retryAfter;
+            }
+            if (!plain.ok) throw apiError(plain.status, info);
+            return info;
+        }
+        if (!res.ok || !res.body) {
+            let info = {};
+            try { info = await res.json(); } catch (_) {}
+            throw apiError(res.status, info);
+        }
+
+        // Minimal SSE parser: events are separated by a blank line, fields by "name: value"
+        const reader = res.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const raw = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+                let event = 'message';
+                let data = '';
+                for (const line of raw.split('\n')) {
+                    if (line.startsWith('event:')) event = line.slice(6).trim();
+                    else if (line.startsWith('data:')) data += line.slice(5).trim();
+                }
+                if (!data) continue; // keep-alive comment
+                const payload = JSON.parse(data);
+                if (event === 'done') return payload;
+                if (event === 'error') throw apiError(payload.status || 500, payload);
+                onEvent(event, payload);
+            }
+        }
+        throw new Error('Generation stream ended without a result');
+    }
+
+    // Ask the user which generated candidate to keep; resolves to its index, rejects with an
+    // AbortError when the strip is dismissed or the generation is cancelled. Requests that
+    // finish together wait their turn for the strip.
+    pickVariation(candidates, options = {}) {
+        const turn = this.variationPickerChain.then(() => this.showVariationPicker(candidates, options));
+        this.variationPickerChain = turn.catch(() => {});
+        return turn;
+    }
+
+    showVariationPicker(candidates, { description = '', signal } = {}) {
+        return new Promise((resolve, reject) => {
+            const cancelled = () => new DOMException('Generation cancelled', 'AbortError');
+            if (signal?.aborted) return reject(cancelled());
+
+            const picker = document.getElementById('variationPicker');
+            const options = document.getElementById('variationPickerOptions');
+            const dismissBtn = document.getElementById('dismissVariationsBtn');
+            document.getElementById('variationPickerTitle').textContent = `Pick one: ${description}`;
+
+            const close = () => {
+                picker.style.display = 'none';
+                options.innerHTML = '';
+                dismissBtn.onclick = null;
+                signal?.removeEventListener('abort', onAbort);
+                this.activeVariationPicker = null;
+            };
+            const choose = (index) => {
+                close();
+                resolve(index);
+            };
+            const onAbort = () => {
+                close();
+                reject(cancelled());
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+            dismissBtn.onclick = onAbort;
+
+            options.innerHTML = '';
+            candidates.forEach((candidate, i) => {
+                const button = document.createElement('button');
+                const material = candidate.material?.name && candidate.material.name !== 'default' ? `, ${candidate.material.name}` : '';
+                button.title = `Use this one (${i + 1}${material})`;
+                const preview = document.createElement('canvas');
+                preview.width = 96;
+                preview.height = 96;
+                button.append(preview);
+                button.addEventListener('click', () => choose(i));
+                options.append(button);
+                this.renderVariationPreview(candidate, preview)
+                    .catch(e => console.warn('Could not preview variation', i, e));
+            });
+
+            this.activeVariationPicker = { choose, count: candidates.length };
+            picker.style.display = 'flex';
+        });
+    }
+
+    // Draw a candidate's matted image on a checkerboard with the outline its collision body
+    // would follow. Only traces pixels; no physics body is created for unchosen candidates.
+    async renderVariationPreview(candidate, canvas) {
+        const img = await new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = reject;
+            image.src = candidate.imageUrl;
+        });
+        const matte = candidate.matted ? this.imageToCanvas(img) : this.keyWhiteToAlpha(img, { tolerance: this.whiteToAlphaTolerance });
+
+        // Checkerboard so the cut-out edges are visible
+        const ctx = canvas.getContext('2d');
+        const tile = 8;
+        for (let y = 0; y < canvas.height; y += tile) {
+            for (let x = 0; x < canvas.width; x += tile) {
+                ctx.fillStyle = (x / tile + y / tile) % 2 === 0 ? '#ffffff' : '#e6e6e6';
+                ctx.fillRect(x, y, tile, tile);
+            }
+        }
+
+        const pad = 6;
+        const fit = Math.min((canvas.width - pad * 2) / matte.width, (canvas.height - pad * 2) / matte.height);
+        const w = Math.max(1, Math.round(matte.width * fit));
+        const h = Math.max(1, Math.round(matte.height * fit));
+        const ox = Math.round((canvas.width - w) / 2);
+        const oy = Math.round((canvas.height - h) / 2);
+        ctx.drawImage(matte, ox, oy, w, h);
+
+        // Every island and hole; traceContoursFromCanvas returns points around the canvas centre
+        const scaled = document.createElement('canvas');
+        scaled.width = w;
+        scaled.height = h;
+        scaled.getContext('2d').drawImage(matte, 0, 0, w, h);
+        const { polygons } = this.traceContoursFromCanvas(scaled);
+        const cx = ox + w / 2;
+        const cy = oy + h / 2;
+        ctx.beginPath();
+        for (const ring of polygons.flatMap(p => [p.outer, ...p.holes])) {
+            ring.forEach((v, i) => (i === 0 ? ctx.moveTo(cx + v.x, cy + v.y) : ctx.lineTo(cx + v.x, cy + v.y)));
+            ctx.closePath();
+        }
+        ctx.strokeStyle = 'rgba(255, 0, 128, 0.9)';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+    }
+
+    // Progress line above the input: the first running item's phase (plus the tail of any text
+    // the model streams back) and how many more are waiting. Failed items stay on the canvas only.
+    updateGenerationProgress() {
+        const el = document.getElementById('generationProgress');
+        const textEl = document.getElementById('generationProgressText');
+        if (!el || !textEl) return;
+        const active = this.generationQueue.filter(item => item.status !== 'failed');
+        if (!active.length) {
+            el.style.display = 'none';
+            return;
+        }
+        const current = active.find(item => item.status === 'running') || active[0];
+        const snippet = current.modelText.trim().replace(/\s+/g, ' ');
+        let text = `${current.description}: ${this.generationPhaseText(current)}`;
+        if (snippet) text += ` "${snippet.length > 60 ? '…' + snippet.slice(-60) : snippet}"`;
+        if (active.length > 1) text += ` (+${active.length - 1} more)`;
+        textEl.textContent = text;
+        el.style.display = 'flex';
+    }
+
+    // Friendly wording for a 429 from /api/generate-image
+    rateLimitMessage(scope, retryAfterSeconds) {
+        const wait = retryAfterSeconds >= 3600
+            ? `${Math.ceil(retryAfterSeconds / 3600)}h`
+            : retryAfterSeconds >= 60 ? `${Math.ceil(retryAfterSeconds / 60)} min` : `${retryAfterSeconds}s`;
+        if (scope === 'daily' || scope === 'daily-client') {
+            return `The image machine is out of juice for today. Try a built-in like "banana" or "wrench"!`;
+        }
+        if (scope === 'global') {
+            return `Lots of people are making things right now. Try again in ${wait}.`;
+        }
+        return `Whoa, you're fast! Give it ${wait} and try again.`;
+    }
+
+    // Show a short notice on the canvas, above the input form
+    showCanvasMessage(text, duration = 4000) {
+        this.canvasMessage = { text, startTime: Date.now(), duration };
+    }
+
+    drawCanvasMessage() {
+        const msg = this.canvasMessage;
+        if (!msg) return;
+        const elapsed = Date.now() - msg.startTime;
+        if (elapsed > msg.duration) {
+            this.canvasMessage = null;
+            return;
+        }
+        // Fade in and out over 300ms
+        const alpha = Math.min(1, elapsed / 300, (msg.duration - elapsed) / 300);
+
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.globalAlpha = alpha;
+        ctx.font = 'bold 20px Arial';
+        const padding = 14;
+        const boxWidth = ctx.measureText(msg.text).width + padding * 2;
+        const boxHeight = 20 + padding * 2;
+        const boxX = this.gameWidth / 2 - boxWidth / 2;
+        const boxY = this.gameHeight - 150 - boxHeight / 2;
+
+        ctx.fillStyle = 'rgba(0,0,0,0.25)';
+        ctx.beginPath();
+        ctx.roundRect(boxX + 2, boxY + 3, boxWidth, boxHeight, 12);
+        ctx.fill();
+        ctx.fillStyle = 'white';
+        ctx.strokeStyle = '#ccc';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.roundRect(boxX, boxY, boxWidth, boxHeight, 12);
+        ctx.fill();
+        ctx.stroke();
+
+        ctx.fillStyle = '#333';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(msg.text, this.gameWidth / 2, boxY + boxHeight / 2);
+        ctx.restore();
+    }
+
     update() {
         // Handle marble path recording/playback
         if (this.phase === 'single' && this.marbles.length > 0) {
@@ -2464,6 +4972,9 @@ ${description}`;
         // Update physics (always run to maintain collision detection)
         Matter.Engine.update(this.engine);
 
+        // Remember where marbles actually travel so new objects can be placed along the way
+        this.sampleMarblePath();
+
         // Update object histories for trails
         for (const obj of this.gameObjects) {
             if (obj.isText && obj.body && obj.history) {
@@ -2740,6 +5251,11 @@ ${description}`;
         
         // Draw confetti on top of everything
         this.drawConfetti();
+
+        if (this.showCellDebug) this.drawCellDebug();
+
+        // Notices such as rate-limit messages
+        this.drawCanvasMessage();
         
         // Draw completion overlay if active
         this.drawCompletionOverlay();
@@ -2784,6 +5300,8 @@ ${description}`;
                 this.ctx.textBaseline = 'middle';
                 this.ctx.fillStyle = obj.color;
                 this.ctx.fillText(obj.text, 0, 0);
+            } else if (obj.isGhost) {
+                this.renderGhost(obj);
             } else if (obj.image) {
                 // Draw image
                 this.ctx.translate(obj.body.position.x, obj.body.position.y);
@@ -2871,6 +5389,46 @@ ${description}`;
             }
     }
     
+    // 'G' overlay: the last collision grid in the top-left corner. Solid cells are grey, rejected
+    // cells with some solid pixels are pale red, and the merged rectangles that became body parts
+    // are outlined, with the part count before and after merging. Grids read from the IndexedDB
+    // cache carry no cells, so only their rectangles are drawn.
+    drawCellDebug() {
+        const grid = this.lastCollisionGrid;
+        if (!grid) return;
+        const { imageW, imageH, gridSize, cells = [], rects = [], partsBefore = 0, partsAfter = 0 } = grid;
+        const scale = Math.min(1, 220 / Math.max(imageW, imageH, 1));
+        const x0 = 12;
+        const y0 = 12;
+
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(255,255,255,0.85)';
+        this.ctx.fillRect(x0 - 6, y0 - 6, imageW * scale + 12, imageH * scale + 34);
+        this.ctx.translate(x0, y0);
+        this.ctx.scale(scale, scale);
+
+        for (const cell of cells) {
+            if (!cell.include && cell.ratio === 0) continue;
+            this.ctx.fillStyle = cell.include ? 'rgba(80,80,80,0.5)' : 'rgba(255,80,80,0.25)';
+            this.ctx.fillRect(cell.gx, cell.gy, gridSize, gridSize);
+        }
+        this.ctx.strokeStyle = 'rgba(0,120,255,0.9)';
+        this.ctx.lineWidth = 1 / scale;
+        for (const r of rects) {
+            this.ctx.strokeRect(r.col * gridSize, r.row * gridSize, r.cols * gridSize, r.rows * gridSize);
+        }
+        this.ctx.restore();
+
+        const saved = partsBefore ? Math.round((1 - partsAfter / partsBefore) * 100) : 0;
+        this.ctx.save();
+        this.ctx.font = '12px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'top';
+        this.ctx.fillStyle = '#222';
+        this.ctx.fillText(`${gridSize}px grid: ${partsBefore} cells → ${partsAfter} parts (−${saved}%)`, x0, y0 + imageH * scale + 8);
+        this.ctx.restore();
+    }
+
     drawTextEffects() {
         const now = Date.now();
         for (const effect of this.textEffects) {
@@ -0,0 +1,198 @@
+// Pixel loops behind image objects, shared by the page (game.js) and the image worker
+// (imagePipelineWorker.js loads it with importScripts). Functions work on raw RGBA arrays
+// so they run the same with or without a DOM; nothing here touches Matter or the canvas.
+const ImagePipeline = {
+    // Clear near-white and background-coloured pixels in place. Background is sampled from the
+    // four corners, and background-like regions connected to the border are flood-filled away.
+    // tolerance: 0-255, how far from pure white still counts as white
+    keyWhiteToAlpha(data, w, h, tolerance = 48) {
+        tolerance = Math.max(0, Math.min(255, tolerance));
+        const thr = 255 - tolerance;
+
+        // Sample background color from 4 corners to also key non-white uniform backgrounds
+        const corner = (x, y) => {
+            const idx = (y * w + x) * 4;
+            return [data[idx], data[idx + 1], data[idx + 2]];
+        };
+        const c1 = corner(0, 0);
+        const c2 = corner(w - 1, 0);
+        const c3 = corner(0, h - 1);
+        const c4 = corner(w - 1, h - 1);
+        const bgR = Math.round((c1[0] + c2[0] + c3[0] + c4[0]) / 4);
+        const bgG = Math.round((c1[1] + c2[1] + c3[1] + c4[1]) / 4);
+        const bgB = Math.round((c1[2] + c2[2] + c3[2] + c4[2]) / 4);
+        const bgBrightness = (bgR + bgG + bgB) / 3;
+        const colorTol = Math.max(20, Math.floor(tolerance * 1.25));
+
+        for (let i = 0; i < data.length; i += 4) {
+            const r = data[i];
+            const g = data[i + 1];
+            const b = data[i + 2];
+            // If pixel is close to pure white, make it transparent
+            let makeTransparent = (r >= thr && g >= thr && b >= thr);
+
+            // Also remove pixels that are close to the sampled background color
+            if (!makeTransparent) {
+                const dr = r - bgR, dg = g - bgG, db = b - bgB;
+                const dist = Math.sqrt(dr * dr + dg * dg + db * db);
+                const brightness = (r + g + b) / 3;
+                if (dist < colorTol && Math.abs(brightness - bgBrightness) < 30) {
+                    makeTransparent = true;
+                }
+            }
+
+            if (makeTransparent) {
+                data[i + 3] = 0; // alpha
+            }
+        }
+
+        // Flood-fill from borders to remove any connected background-like regions
+        const inBounds = (x, y) => x >= 0 && y >= 0 && x < w && y < h;
+        const idxAt = (x, y) => (y * w + x) * 4;
+        const isBackgroundLike = (x, y) => {
+            const i = idxAt(x, y);
+            const r = data[i], g = data[i + 1], b = data[i + 2], a = data[i + 3];
+            if (a === 0) return true; // already cleared
+            const maxC = Math.max(r, g, b);
+            const minC = Math.min(r, g, b);
+            const brightness = (r + g + b) / 3;
+            const chroma = maxC - minC;
+            const nearWhite = brightness > 240 && chroma < 25; // more permissive
+            const dr = r - bgR, dg = g - bgG, db = b - bgB;
+            const dist = Math.sqrt(dr * dr + dg * dg + db * db);
+            return nearWhite || dist < colorTol;
+        };
+
+        const q = [];
+        const visited = new Uint8Array(w * h);
+        // Seed queue with border pixels
+        for (let x = 0; x < w; x++) {
+            q.push([x, 0]);
+            q.push([x, h - 1]);
+        }
+        for (let y = 0; y < h; y++) {
+            q.push([0, y]);
+            q.push([w - 1, y]);
+        }
+        while (q.length) {
+            const [x, y] = q.pop();
+            const vi = y * w + x;
+            if (!inBounds(x, y) || visited[vi]) continue;
+            visited[vi] = 1;
+            if (isBackgroundLike(x, y)) {
+                // clear and propagate
+                data[idxAt(x, y) + 3] = 0;
+                q.push([x + 1, y]);
+                q.push([x - 1, y]);
+                q.push([x, y + 1]);
+                q.push([x, y - 1]);
+            }
+        }
+        return data;
+    },
+
+    // Quick signal for whether an image carries transparency: samples the edges and a coarse
+    // interior grid for pixels below near-opaque
+    detectTransparency(data, width, height) {
+        const step = Math.max(1, Math.floor(Math.min(width, height) / 50));
+        let transparentSamples = 0;
+        let totalSamples = 0;
+
+        // Sample borders (likely background)
+        for (let x = 0; x < width; x += step) {
+            const topA = data[(0 * width + x) * 4 + 3];
+            const botA = data[((height - 1) * width + x) * 4 + 3];
+            if (topA < 250) transparentSamples++;
+            if (botA < 250) transparentSamples++;
+            totalSamples += 2;
+        }
+        for (let y = 0; y < height; y += step) {
+            const leftA = data[(y * width + 0) * 4 + 3];
+            const rightA = data[(y * width + (width - 1)) * 4 + 3];
+            if (leftA < 250) transparentSamples++;
+            if (rightA < 250) transparentSamples++;
+            totalSamples += 2;
+        }
+
+        // Coarse interior grid sampling
+        for (let y = step; y < height; y += step * 5) {
+            for (let x = step; x < width; x += step * 5) {
+                const a = data[(y * width + x) * 4 + 3];
+                if (a < 250) transparentSamples++;
+                totalSamples++;
+            }
+        }
+
+        // If any noticeable portion is below near-opaque, we consider it having transparency
+        return transparentSamples > Math.max(5, totalSamples * 0.02);
+    },
+
+    // Collision grid of an image already drawn at body size: a gridSize cell is solid when more
+    // than solidRatio of its pixels have alpha > alphaThreshold. Solid cells are merged into
+    // rectangles (mergeGridCells). Returns { imageW, imageH, gridSize, cells: [{ gx, gy, ratio,
+    // include }], rects, partsBefore, partsAfter }.
+    buildCollisionGrid(data, width, height, { alphaThreshold = 128, gridSize = 4, solidRatio = 0.7 } = {}) {
+        const cells = [];
+        for (let gy = 0; gy < height; gy += gridSize) {
+            for (let gx = 0; gx < width; gx += gridSize) {
+                const maxY = Math.min(gy + gridSize, height);
+                const maxX = Math.min(gx + gridSize, width);
+                let solidCount = 0;
+                for (let py = gy; py < maxY; py++) {
+                    for (let px = gx; px < maxX; px++) {
+                        if (data[(py * width + px) * 4 + 3] > alphaThreshold) solidCount++;
+                    }
+                }
+                const totalPx = (maxY - gy) * (maxX - gx);
+                const ratio = totalPx > 0 ? (solidCount / totalPx) : 0;
+                cells.push({ gx, gy, ratio, include: solidCount > 0 && ratio > solidRatio });
+            }
+        }
+
+        const solidCells = cells.filter(c => c.include).map(c => ({ col: c.gx / gridSize, row: c.gy / gridSize }));
+        const rects = ImagePipeline.mergeGridCells(solidCells);
+        return {
+            imageW: width, imageH: height, gridSize, cells, rects,
+            partsBefore: solidCells.length, partsAfter: rects.length
+        };
+    },
+
+    // Greedy rectangle merge of solid grid cells ({ col, row }): runs along each row first, then
+    // runs with the same columns in consecutive rows stack into one rectangle. Returns
+    // { col, row, cols, rows } in cell units; together they cover exactly the input cells.
+    mergeGridCells(cells) {
+        const byRow = new Map();
+        for (const { col, row } of cells) {
+            if (!byRow.has(row)) byRow.set(row, []);
+            byRow.get(row).push(col);
+        }
+
+        const rects = [];
+        let open = new Map(); // `${col}:${cols}` -> rectangle still growing downwards
+        let prevRow = null;
+        for (const row of [...byRow.keys()].sort((a, b) => a - b)) {
+            // A gap between rows closes every rectangle
+            if (prevRow !== null && row !== prevRow + 1) open = new Map();
+            const next = new Map();
+            const cols = [...new Set(byRow.get(row))].sort((a, b) => a - b);
+            for (let i = 0; i < cols.length;) {
+                let j = i;
+                while (j + 1 < cols.length && cols[j + 1] === cols[j] + 1) j++;
+                const key = `${cols[i]}:${j - i + 1}`;
+                const above = open.get(key);
+                if (above) {
+                    above.rows++;
+                    next.set(key, above);
+                } else {
+                    const rect = { col: cols[i], row, cols: j - i + 1, rows: 1 };
+                    rects.push(rect);
+                    next.set(key, rect);
+                }
+                i = j + 1;
+            }
+            open = next;
+            prevRow = row;
+        }
+        return rects;
+    }
+};
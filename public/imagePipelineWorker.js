@@ -0,0 +1,41 @@
+// Image worker: runs the imagePipeline.js pixel loops off the page's thread so marbles keep
+// animating while new objects are keyed and measured. Messages are { id, type, ... } and every
+// reply carries the same id, plus { error } when the job failed:
+//   matte  { bitmap, tolerance }                              -> { width, height, pixels }
+//   grid   { bitmap, width, height, alphaThreshold, gridSize } -> { grid, hasTransparency }
+// bitmap is a transferred ImageBitmap (closed here); pixels is a transferred RGBA ArrayBuffer.
+importScripts('/imagePipeline.js');
+
+// Draw a bitmap at the given size and read its pixels back
+function readPixels(bitmap, width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+    return ctx.getImageData(0, 0, width, height);
+}
+
+self.onmessage = (e) => {
+    const { id, type } = e.data;
+    try {
+        if (type === 'matte') {
+            const { bitmap, tolerance } = e.data;
+            const imageData = readPixels(bitmap, bitmap.width, bitmap.height);
+            ImagePipeline.keyWhiteToAlpha(imageData.data, imageData.width, imageData.height, tolerance);
+            const pixels = imageData.data.buffer;
+            self.postMessage({ id, width: imageData.width, height: imageData.height, pixels }, [pixels]);
+        } else if (type === 'grid') {
+            const { bitmap, width, height, alphaThreshold, gridSize } = e.data;
+            const { data } = readPixels(bitmap, width, height);
+            self.postMessage({
+                id,
+                grid: ImagePipeline.buildCollisionGrid(data, width, height, { alphaThreshold, gridSize }),
+                hasTransparency: ImagePipeline.detectTransparency(data, width, height)
+            });
+        } else {
+            throw new Error(`Unknown image job: ${type}`);
+        }
+    } catch (err) {
+        self.postMessage({ id, error: err.message || String(err) });
+    }
+};
@@ -1,6 +1,11 @@
 import express from 'express';
 import dotenv from 'dotenv';
-import { GoogleGenAI } from '@google/genai';
+import { generateImageHandler, generateImageStreamHandler } from './lib/generateImage.js';
+import { collisionShapeHandler } from './lib/collisionShape.js';
+import { createSceneHandler, getSceneHandler, sceneStoreStatusHandler, updateSceneHandler } from './lib/sceneStore.js';
+import { createAssetHandler, getAssetHandler } from './lib/assetStore.js';
+import { fetchImageHandler } from './lib/fetchImage.js';
+import { getImageProvider } from './lib/providers/index.js';
 
 dotenv.config();
 // Also load .env.local if present, allowing it to override .env
@@ -9,7 +14,13 @@ dotenv.config({ path: '.env.local', override: true });
 const app = express();
 const port = process.env.PORT || 3001;
 
-app.use(express.json({ limit: '2mb' }));
+// Behind a reverse proxy set TRUST_PROXY (e.g. 1) so rate limits see the real client IP
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+app.use(express.json({ limit: '8mb' }));
 
 // Serve static files (index.html, game.js, images, etc.)
 app.use(express.static('public'));
@@ -17,70 +28,39 @@ app.use(express.static('public'));
 // Health check
 app.get('/api/health', (_req, res) => res.json({ ok: true }));
 
-// Proxy endpoint to generate an image with Gemini and return a data URL
-app.post('/api/generate-image', async (req, res) => {
-  try {
-    const apiKey = process.env.GEMINI_API_KEY;
-    if (!apiKey) {
-      return res.status(400).json({ error: 'GEMINI_API_KEY not configured on server' });
-    }
-
-    const { prompt, size } = req.body || {};
-    if (!prompt || typeof prompt !== 'string') {
-      return res.status(400).json({ error: 'Missing prompt' });
-    }
+// Generate an image with the configured provider and return a data URL
+app.post('/api/generate-image', generateImageHandler);
+// Same, streamed as Server-Sent Events with progress phases and partial model text
+app.post('/api/generate-image/stream', generateImageStreamHandler);
 
-    const genAI = new GoogleGenAI(apiKey);
-    const model = 'gemini-2.5-flash-image-preview';
+// Precompute a serialized collision shape for an image or built-in asset
+app.post('/api/collision-shape', collisionShapeHandler);
 
-    console.log(`Attempting image generation with Gemini model: ${model}`);
-    console.log(`Prompt: ${prompt}`);
+// Same-origin proxy for images pasted as URLs (SSRF-guarded, see lib/fetchImage.js)
+app.get('/api/fetch-image', fetchImageHandler);
 
-    const response = await genAI.models.generateContent({
-      model: model,
-      contents: prompt,
-    });
+// Saved scene layouts (file-backed, see lib/sceneStore.js)
+app.get('/api/scenes', sceneStoreStatusHandler);
+app.post('/api/scenes', createSceneHandler);
+app.get('/api/scenes/:id', getSceneHandler);
+app.put('/api/scenes/:id', updateSceneHandler);
 
-    // Process the response to extract image data
-    let imageUrl = null;
-    let textResponse = null;
-
-    for (const part of response.candidates[0].content.parts) {
-      if (part.text) {
-        textResponse = part.text;
-        console.log('Generated text:', part.text);
-      } else if (part.inlineData) {
-        const imageData = part.inlineData.data;
-        imageUrl = `data:image/png;base64,${imageData}`;
-        console.log('Generated image data received');
-      }
-    }
-
-    if (!imageUrl) {
-      throw Object.assign(new Error('No image returned from Gemini'), { status: 502 });
-    }
-
-    return res.json({ 
-      imageUrl: imageUrl, 
-      modelUsed: model,
-      textResponse: textResponse 
-    });
-
-  } catch (err) {
-    console.error('Image generation error', err);
-    const status = err?.status || err?.response?.status || 500;
-    const message = err?.message || 'Image generation failed';
-    const details = err?.response?.data || undefined;
-    return res.status(status).json({ error: 'Image generation failed', message, details });
-  }
-});
+// Images referenced by saved scenes (content-addressed PNGs, see lib/assetStore.js)
+app.post('/api/assets', createAssetHandler);
+app.get('/api/assets/:id', getAssetHandler);
 
 app.listen(port, () => {
   console.log(`Server running at http://localhost:${port}`);
-  if (process.env.GEMINI_API_KEY) {
-    const tail = process.env.GEMINI_API_KEY.slice(-4);
-    console.log(`Gemini API key detected (ending with ${tail}).`);
-  } else {
-    console.warn('GEMINI_API_KEY not set. /api/generate-image will return 400.');
+  try {
+    const provider = getImageProvider();
+    console.log(`Image provider: ${provider.name} (${provider.model})`);
+    if (provider.missingConfig) {
+      console.warn(`${provider.missingConfig} not set. /api/generate-image will return 503.`);
+    } else if (provider.name === 'gemini') {
+      const tail = process.env.GEMINI_API_KEY.slice(-4);
+      console.log(`Gemini API key detected (ending with ${tail}).`);
+    }
+  } catch (err) {
+    console.warn(err.message);
   }
 });